@@ -25,6 +25,7 @@
  * @example
  * // An example without a caption
  * new ExampleClass("example");
+ * @mixes Geometry.Eventful
  */
 export default class ExampleClass {
     /**
@@ -16,4 +16,20 @@ export default class Point {
         this.x = x;
         this.y = y;
     }
+    
+    /**
+     * Measures the straight-line distance from this point to another location on the grid
+     * @overload
+     * @param {Geometry.Utils.Point} point - the other point to measure the distance to
+     * @returns {Number} distance between this point and the other point
+     * @overload
+     * @param {Number} x - horizontal location on the grid to measure the distance to
+     * @param {Number} y - vertical location on the grid to measure the distance to
+     * @returns {Number} distance between this point and the location
+     */
+    distanceTo(x, y) {
+        if (x instanceof Point) ({x, y} = x);
+        
+        return Math.hypot(this.x - x, this.y - y);
+    }
 }
\ No newline at end of file
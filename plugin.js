@@ -1,7 +1,10 @@
 const path = require("path");
+const env = require("jsdoc/env");
 const helper = require("jsdoc/lib/jsdoc/util/templateHelper");
 const Syntax = require("jsdoc/src/syntax").Syntax;
 const nodeToValue = require("jsdoc/src/astnode").nodeToValue;
+const logger = require("jsdoc/util/logger");
+const doop = require("jsdoc/util/doop");
 
 exports.defineTags = function (dictionary) {
     const tags = {
@@ -69,6 +72,14 @@ exports.defineTags = function (dictionary) {
             doclet.templates = (doclet.templates ?? new Map()).set(value.name, value);
         }
     }).synonym("typeParam").synonym("typeparam");
+    
+    // Define "overload" tags for documenting alternative signatures of the following function
+    dictionary.defineTag("overload", {
+        mustNotHaveValue: true,
+        onTagged(doclet) {
+            doclet.overload = true;
+        }
+    });
 };
 
 /**
@@ -139,6 +150,16 @@ const Filters = {
      * @type {FilterMethod}
      */
     hasDefaultValue: (d) => (Filters.isDocumented(d) && d.defaultvalue === undefined && d?.meta?.code?.value),
+    /**
+     * Checks whether the given doclet is for a function or class symbol whose parameters can be found in its AST node
+     * @type {FilterMethod}
+     */
+    hasParamNodes: (d) => (["function", "class"].includes(d.kind) && !!getFunctionNode(d?.meta?.code?.node)),
+    /**
+     * Whether the doclet describes an alternative signature of the symbol that follows it, or that it is attached to
+     * @type {FilterMethod}
+     */
+    isOverload: (d) => (!!d.overload),
     /**
      * Create a method to check whether a given doclet's node name or leading comment match those specified
      * @param {String} name - the name of the documented symbol to compare with
@@ -149,6 +170,10 @@ const Filters = {
 }
 
 exports.handlers = {
+    beforeParse({filename, source}) {
+        // Keep the source around, so it's possible to tell whether a comment is attached to any code
+        sources.set(filename, source);
+    },
     symbolFound(e) {
         const {node} = e.code ?? {};
         const {type, value} = node ?? {};
@@ -157,18 +182,35 @@ exports.handlers = {
         if (type === Syntax.ClassProperty && !!value) e.code.value = nodeToValue(value);
     },
     jsdocCommentFound: (e) => {
-        // Remove all "typeof" and "keyof" instances in comments, since JSDoc doesn't know what to do with them yet
-        while (e.comment.match(/\{(.*?)(?:typeof|keyof)\s+(.*?)}/g)) {
-            e.comment = String(e.comment ?? "").replaceAll(/\{(.*?)(?:typeof|keyof)\s+(.*?)}/g, "{$1$2}");
-        }
+        // Check whether the comment is attached to code before changing it, as its length may change
+        const attached = isAttachedComment(e);
+        
+        // Swap TypeScript-flavoured type expressions for placeholders, since JSDoc doesn't know what to do with them yet
+        e.comment = preserveTypeExpressions(String(e.comment ?? ""));
         
-        // Remove trailing "=" from types denoting TypeScript optional types from comments
-        while (e.comment.match(/\{(.*?)=}/g)) {
-            e.comment = String(e.comment ?? "").replaceAll(/\{(.*?)=}/g, "{$1}");
+        // Each "overload" tag starts a new signature, split into separate doclets with "also" tags
+        if (/@overload\b/.test(e.comment) && !/@(?:name|function|func|method)\b/.test(e.comment)) {
+            const [head, ...sections] = e.comment.replace(/\s*\*\/\s*$/, "").split(/(?=@overload\b)/);
+            // When attached to code, anything before the first overload documents the function itself...
+            const parts = (attached ? [head, ...sections] : [head + sections.shift(), ...sections]);
+            
+            // ...otherwise, overloads aren't attached to any code, so give them a name, or JSDoc will ignore them
+            e.comment = parts.map((part) => (attached ? part : `${part.replace(/[\s*]*$/, "")}\n * @function ClassyOverload$${overloadCount++}\n * `))
+                .join("@also\n * ") + "\n */";
         }
     },
+    newDoclet({doclet}) {
+        // Put the original TypeScript-flavoured type expressions back in place of any placeholders
+        restoreTypeExpressions(doclet);
+    },
     parseComplete(e) {
         // console.log(e.doclets.filter((d) => d.longname === "SCIMMY.Types.Resource"))
+        const {lint = "off", lintFail = false} = env.conf?.templates?.classy ?? {};
+        let issues = 0;
+        
+        // Attach overloads to the symbols they describe, then take them out of the list of doclets
+        fixDocletOverloads(e.doclets.filter(Filters.isOverload), e.doclets);
+        for (let index = e.doclets.length - 1; index >= 0; index--) if (Filters.isOverload(e.doclets[index])) e.doclets.splice(index, 1);
         
         // Go through source files to get classdesc from class or interface constructors
         for (let sourcefile of e.sourcefiles) {
@@ -183,14 +225,166 @@ exports.handlers = {
             fixDocletMetaCodeNodes(doclets.filter(Filters.isDocumented).filter(Filters.isConstant), symbols.filter(Filters.isUndocumented));
             fixDocletDefaultValues(symbols.filter(Filters.hasDefaultValue).filter((d) => !Filters.isContainer(d)));
             fixDocletMetaCodeNodes(doclets.filter(Filters.isClassLike), symbols);
+            // Lint documented parameters before any are inferred from code, so that undocumented parameters can be reported
+            if (["info", "warn", "error"].includes(lint)) issues += lintDocletParams(doclets.filter(Filters.hasParamNodes), lint);
+            fixDocletParams(doclets.filter(Filters.hasParamNodes));
+            fixDocletReturnValues(doclets.filter(Filters.hasParamNodes));
             fixDocletClassConstructors(doclets.filter(Filters.isClass), doclets);
             fixDocletClassConstructors(doclets.filter(Filters.isInterface), doclets);
             fixDocletModules(doclets.filter(Filters.isModule), doclets.filter(Filters.isClassLike));
             fixDocletDescendants(doclets.filter(Filters.isContainer), doclets);
         }
+        
+        // Now that long names are correct, treat functions documented more than once as overloads too
+        fixDocletRepeats(e.doclets.filter(Filters.hasComment).filter(Filters.isDocumented).filter((d) => d.kind === "function"));
+        for (let index = e.doclets.length - 1; index >= 0; index--) if (Filters.isOverload(e.doclets[index])) e.doclets.splice(index, 1);
+        
+        // Treat any lint issues as fatal if requested, so the build fails
+        if (lintFail && issues > 0) {
+            logger.fatal(`Documentation lint found ${issues} issue${issues === 1 ? "" : "s"}`);
+        }
+    },
+    processingComplete(e) {
+        // JSDoc has finished mixing in members by now, so fill in any it missed
+        fixDocletMixins(e.doclets.filter(Filters.isContainer).filter((d) => !!d.mixes?.length), e.doclets);
     }
 };
 
+/**
+ * TypeScript-flavoured type expressions that JSDoc can't parse, keyed by the placeholder name used in their place
+ * @type {Map<String, String>}
+ */
+const preservedTypes = new Map();
+
+/**
+ * Replace type expressions in tags with placeholder names where they use TypeScript syntax that JSDoc can't parse,
+ * such as "import()", "typeof", "keyof", indexed access, tuples, mapped records, and arrow functions
+ * @param {String} comment - the text of the comment to replace type expressions in
+ * @returns {String} the text of the comment, with unparseable type expressions replaced by placeholder names
+ */
+function preserveTypeExpressions(comment) {
+    let result = "", position = 0;
+    
+    // Only look at types directly following a tag, so braces in descriptions and examples are left alone
+    for (let {index, 0: tag} of comment.matchAll(/@\w+\s+\{(?!@)/g)) if (index >= position) {
+        const start = index + tag.length;
+        let depth = 1, end = start;
+        
+        // Find the matching closing brace, as types may contain braces of their own
+        while (end < comment.length && depth > 0) {
+            if (comment[end] === "{") depth++;
+            if (comment[end] === "}") depth--;
+            end++;
+        }
+        
+        // Only replace complete types that use syntax JSDoc doesn't understand
+        const expression = comment.slice(start, end - 1);
+        if (depth > 0 || !/\bimport\s*\(|\b(?:typeof|keyof)\s|=>|\[\s*[^\]\s]/.test(expression)) continue;
+        
+        // Keep modifiers that JSDoc does understand outside the placeholder
+        const [, prefix, type, suffix] = /^(\s*(?:\.\.\.)?[?!]?)([\s\S]*?)(=?\s*)$/.exec(expression);
+        const placeholder = `ClassyType$${preservedTypes.size}`;
+        
+        preservedTypes.set(placeholder, type.replace(/\s*\n\s*\*?\s*/g, " ").trim());
+        result += comment.slice(position, start) + prefix + placeholder + suffix;
+        position = end - 1;
+    }
+    
+    return result + comment.slice(position);
+}
+
+/**
+ * Put original type expressions back in place of any placeholder names in the type names of a doclet and its members
+ * @param {ClassyDoclet} doclet - the doclet whose type names should be restored
+ */
+function restoreTypeExpressions(doclet) {
+    const restore = (name) => (typeof name !== "string" ? name : name.replace(/ClassyType\$\d+/g, (placeholder) => preservedTypes.get(placeholder) ?? placeholder));
+    const items = [doclet, ...["params", "properties", "returns", "yields", "exceptions"].flatMap((key) => doclet[key] ?? []), ...(doclet.templates?.values() ?? [])];
+    
+    // Restore type names of the doclet, its parameters, properties, return values, exceptions, and type parameters
+    for (let item of items) if (Array.isArray(item?.type?.names)) {
+        item.type.names = item.type.names.map(restore);
+    }
+    
+    // Restore names of inherited symbols, as well as the default value of enums declared via annotation
+    for (let key of ["augments", "implements", "overrides"]) if (Array.isArray(doclet[key])) {
+        doclet[key] = doclet[key].map(restore);
+    }
+    
+    if (doclet.defaultvaluetype === "array" && String(doclet.defaultvalue).includes("ClassyType$")) {
+        doclet.defaultvalue = JSON.stringify(JSON.parse(doclet.defaultvalue).map(restore));
+    }
+}
+
+/**
+ * Number of overloads that have been given placeholder names so far
+ * @type {Number}
+ */
+let overloadCount = 0;
+
+/**
+ * Source code of each parsed file, keyed by file name
+ * @type {Map<String, String>}
+ */
+const sources = new Map();
+
+/**
+ * Check whether a comment is attached to the code directly after it, as JSDoc only attaches the last comment before any code
+ * @param {Object} e - the event emitted by JSDoc when the comment was found
+ * @param {String} e.filename - name of the file the comment was found in
+ * @param {String} e.comment - the original text of the comment
+ * @param {Number} e.lineno - the line in the file the comment starts on
+ * @param {Number} e.columnno - the column in the line the comment starts at
+ * @returns {Boolean} whether the comment is followed by code, instead of another comment, or the end of a block or file
+ */
+function isAttachedComment({filename, comment, lineno, columnno}) {
+    // Get everything after the comment, starting from where the comment starts
+    const following = (sources.get(filename)?.split("\n").slice(lineno - 1).join("\n").slice(columnno + comment.length) ?? "").trimStart();
+    
+    return !!following && !/^(?:\/[*/]|})/.test(following);
+}
+
+/**
+ * Attach alternative signatures from doclets with "overload" tags to the functions they describe
+ * @param {ClassyDoclet[]} overloads - list of doclets with "overload" tags, each attached to or immediately followed by the function it describes
+ * @param {ClassyDoclet[]} doclets - list of doclets that overloads may describe
+ */
+function fixDocletOverloads(overloads, doclets) {
+    for (let overload of overloads) {
+        const {path: dir, filename, lineno, code: {node} = {}} = overload.meta;
+        // Overloads attached to code belong to the function documented in the same comment...
+        const [target] = (!!node ? doclets.filter((d) => (!Filters.isOverload(d) && d.meta?.code?.node === node))
+            // ...otherwise, they belong to whatever is declared immediately after them
+            : doclets.filter(Filters.isInSameFile(dir, filename)).filter((d) => (!Filters.isOverload(d) && d.meta.lineno > lineno))
+                .sort((a, b) => a.meta.lineno - b.meta.lineno));
+        
+        if (target?.kind !== "function" || !Filters.isDocumented(target)) {
+            logger.warn(`Overload isn't attached to, or immediately followed by, a documented function (${filename}:${lineno})`);
+        } else {
+            // Keep overloads in the order they were written, where those in the function's own comment come last
+            target.overloads = [...(target.overloads ?? []), overload].sort((a, b) => a.meta.lineno - b.meta.lineno);
+        }
+    }
+}
+
+/**
+ * Combine functions documented more than once, such as with "also" tags, into the first one, with a signature for each
+ * @param {ClassyDoclet[]} functions - list of documented functions that may share long names
+ */
+function fixDocletRepeats(functions) {
+    for (let doclet of functions) if (!doclet.overload && !doclet.overloads?.length) {
+        const repeats = functions.filter((d) => (d !== doclet && !d.overloads?.length && d.longname === doclet.longname && d.comment !== doclet.comment));
+        
+        if (repeats.length) {
+            const {kind, params, returns, yields, exceptions, templates, meta} = doclet;
+            
+            // The first function's signature becomes the first overload, keeping its description for the function as a whole
+            doclet.overloads = [{kind, params, returns, yields, exceptions, templates, meta}, ...repeats];
+            for (let repeat of repeats) repeat.overload = true;
+        }
+    }
+}
+
 /**
  * Set default values when the @default tag was omitted, but surrounding code has a value
  * @param {ClassyDoclet[]} doclets - list of doclets to iterate through and fix
@@ -207,6 +401,190 @@ function fixDocletDefaultValues(doclets) {
     }
 }
 
+/**
+ * Find the function node that declares the parameters of a given AST node, including class constructors
+ * @param {Object} [node] - the AST node of a documented symbol
+ * @returns {Object|undefined} the function node that declares the symbol's parameters, if any
+ */
+function getFunctionNode(node) {
+    const functions = [Syntax.FunctionDeclaration, Syntax.FunctionExpression, Syntax.ArrowFunctionExpression];
+    const classes = [Syntax.ClassDeclaration, Syntax.ClassExpression];
+    
+    // Functions may be declared directly, or be the value of methods, properties, variables, and assignments
+    for (let candidate of [node, node?.value, node?.init, node?.right]) {
+        if (functions.includes(candidate?.type)) return candidate;
+        if (classes.includes(candidate?.type)) return candidate.body?.body?.find(({kind}) => kind === "constructor")?.value;
+    }
+}
+
+/**
+ * Get the names, default values, and optional or variadic flags of a parameter and any of its destructured properties
+ * @param {Object} node - the AST node of the parameter in the function's declaration
+ * @param {String} [name] - the documented name of the parameter, which takes precedence over the name in code
+ * @returns {Object[]} details of the parameter, followed by details of any destructured properties
+ */
+function getParamDetails(node, name) {
+    // Unwrap default values and rest elements to get at the underlying parameter
+    if ([Syntax.AssignmentPattern, Syntax.RestElement].includes(node?.type)) {
+        const [param, ...props] = getParamDetails(node.left ?? node.argument, name);
+        
+        if (!param) return [];
+        if (node.type === Syntax.RestElement) return [{...param, variable: true}, ...props];
+        
+        // Only use default values that can be represented, so complex expressions aren't shown as empty
+        const defaultvalue = nodeToValue(node.right);
+        if (defaultvalue === undefined || (defaultvalue === "" && node.right.type !== Syntax.Literal)) return [{...param, optional: true}, ...props];
+        
+        const defaultvaluetype = ({[Syntax.ArrayExpression]: "array", [Syntax.ObjectExpression]: "object"})[node.right.type];
+        
+        return [{...param, optional: true, defaultvalue, ...(defaultvaluetype ? {defaultvaluetype} : {})}, ...props];
+    }
+    
+    // Destructured parameters can't be named without a tag, so there's nothing to infer
+    name = name ?? (node?.type === Syntax.Identifier ? node.name : undefined);
+    if (!name) return [];
+    
+    // Get details of destructured properties, where their names can be determined
+    const props = (node.type !== Syntax.ObjectPattern ? [] : node.properties
+        .filter(({type, computed}) => (type !== Syntax.RestElement && !computed))
+        .flatMap(({key, value}) => getParamDetails(value, `${name}.${nodeToValue(key)}`)));
+    
+    return [{name}, ...props];
+}
+
+/**
+ * Check whether a function node returns a value, ignoring return statements of any nested functions
+ * @param {Object} node - the AST node of the function, or a node within its body
+ * @returns {Boolean} whether any return statement belonging to the function returns a value
+ */
+function hasReturnValue(node) {
+    // Arrow functions with expression bodies always return their value
+    if (node.type === Syntax.ArrowFunctionExpression && node.body?.type !== Syntax.BlockStatement) return true;
+    if (node.type === Syntax.ReturnStatement) return !!node.argument;
+    
+    const functions = [Syntax.FunctionDeclaration, Syntax.FunctionExpression, Syntax.ArrowFunctionExpression, Syntax.ClassDeclaration, Syntax.ClassExpression];
+    
+    // Look through child nodes, skipping references back up the tree and into nested functions
+    return Object.entries(node).filter(([key]) => !["parent", "leadingComments", "trailingComments"].includes(key))
+        .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+        .some((child) => (typeof child?.type === "string" && !functions.includes(child.type) && hasReturnValue(child)));
+}
+
+/**
+ * Report documented parameters and return values that don't match the function declared in code
+ * @param {ClassyDoclet[]} doclets - list of doclets with function nodes to iterate through and check
+ * @param {"info"|"warn"|"error"} severity - the logger method to report any issues with
+ * @returns {Number} the number of issues that were reported
+ */
+function lintDocletParams(doclets, severity) {
+    let issues = 0;
+    
+    for (let doclet of doclets) {
+        const {longname, kind, meta: {filename, lineno, code: {node}}} = doclet;
+        const fn = getFunctionNode(node);
+        
+        // Overloaded functions document their parameters and return values on each signature instead
+        if (doclet.overloads?.length) continue;
+        
+        // Class constructors with their own comments are checked there instead, but reported against the class
+        const owner = doclets.find((d) => d !== doclet && getFunctionNode(d.meta.code.node) === fn);
+        if (kind === "class" && node?.kind !== "constructor" && !!owner) continue;
+        
+        const report = (message) => (issues++, logger[severity](`${(node?.kind === "constructor" ? owner : undefined)?.longname ?? longname}: ${message} (${filename}:${lineno})`));
+        // Get names of documented top-level parameters, and parameters in code, where destructured parameters have no name
+        const names = [...new Set((doclet.params ?? []).map(({name}) => name).filter((name) => !!name && !name.includes(".")))];
+        const params = fn.params.map((param) => (param.left ?? param.argument ?? param)).map((param) => (param.type === Syntax.Identifier ? param.name : null));
+        
+        for (let [index, name] of names.entries()) {
+            // Destructured parameters can be given any documented name
+            if (!params.includes(name) && (params[index] !== null || index >= params.length)) report(`Documented parameter "${name}" is not declared in code`);
+        }
+        
+        for (let [index, name] of params.entries()) {
+            if (name !== null && !names.includes(name)) report(`Parameter "${name}" is not documented`);
+            else if (name === null && names[index] === undefined && !(doclet.params ?? []).some(({name}) => !name)) report(`Destructured parameter at position ${index + 1} is not documented`);
+        }
+        
+        // Make sure parameters that are both documented and declared appear in the same order
+        const documented = names.filter((name) => params.includes(name));
+        const declared = params.filter((name) => names.includes(name));
+        
+        if (documented.join() !== declared.join()) {
+            report(`Parameters are documented in order "${documented.join(", ")}" but declared in order "${declared.join(", ")}"`);
+        }
+        
+        // Functions that return nothing shouldn't document a return value, unless they're abstract or generators
+        const returns = (doclet.returns ?? []).flatMap(({type}) => type?.names ?? []);
+        const voids = ["void", "undefined", "Promise.<void>", "Promise<void>"];
+        
+        if (kind === "function" && returns.some((type) => !voids.includes(type)) && !doclet.virtual && !fn.generator && fn.body?.body?.length && !hasReturnValue(fn)) {
+            report("Documented return value is never returned");
+        }
+    }
+    
+    return issues;
+}
+
+/**
+ * Set default values, optional or variadic flags, and destructured property names from code, where @param tags omitted them
+ * @param {ClassyDoclet[]} doclets - list of doclets with function nodes to iterate through and fix
+ */
+function fixDocletParams(doclets) {
+    // Values are compared loosely, as quotes and whitespace may differ between tags and code
+    const normalise = (value) => String(value).replace(/[\s"'`]/g, "");
+    
+    for (let doclet of doclets) {
+        const params = doclet.params ?? [];
+        // Get the documented names of top-level parameters, and names of parameters in code, where destructured parameters have no name
+        const names = [...new Set(params.map(({name}) => name).filter((name) => !!name && !name.includes(".")))];
+        const nodes = getFunctionNode(doclet.meta.code.node).params;
+        const declared = nodes.map((param) => (param.left ?? param.argument ?? param)).map((param) => (param.type === Syntax.Identifier ? param.name : null));
+        // Only infer details of documented parameters with the same name in code, or destructured parameters documented in the same position
+        const details = nodes.flatMap((node, index) => {
+            const name = (declared[index] !== null ? names.find((name) => name === declared[index]) : names[index]);
+            
+            return (!name || (declared[index] === null && declared.includes(name)) ? [] : getParamDetails(node, name));
+        });
+        
+        for (let {name, ...detail} of details) {
+            const existing = params.filter((param) => param.name === name);
+            
+            // Add destructured properties that weren't documented, after their parent parameter and its other properties
+            if (!existing.length) {
+                const parent = name.split(".").slice(0, -1).join(".");
+                const index = (!parent ? -1 : params.reduce((last, {name: n}, index) => (n === parent || n?.startsWith(`${parent}.`) ? index : last), -1));
+                
+                params.splice(index < 0 ? params.length : index + 1, 0, {name, ...detail});
+                continue;
+            }
+            
+            // Explicitly tagged details always win, but warn when the documented default value doesn't match the code
+            for (let param of existing) {
+                if (detail.optional && param.optional === undefined) param.optional = true;
+                if (detail.variable && param.variable === undefined) param.variable = true;
+                
+                if (detail.defaultvalue !== undefined && param.defaultvalue === undefined) {
+                    Object.assign(param, {defaultvalue: detail.defaultvalue}, detail.defaultvaluetype ? {defaultvaluetype: detail.defaultvaluetype} : {});
+                } else if (detail.defaultvalue !== undefined && normalise(param.defaultvalue) !== normalise(detail.defaultvalue)) {
+                    logger.warn(`${doclet.longname}: Documented default value "${param.defaultvalue}" of parameter "${name}" doesn't match default value "${detail.defaultvalue}" in code (${doclet.meta.filename}:${doclet.meta.lineno})`);
+                }
+            }
+        }
+        
+        if (params.length) doclet.params = params;
+    }
+}
+
+/**
+ * Note whether functions return a value in code, so that missing return value documentation can be found later
+ * @param {ClassyDoclet[]} doclets - list of doclets with function nodes to iterate through and fix
+ */
+function fixDocletReturnValues(doclets) {
+    for (let d of doclets) if (d.kind === "function") {
+        d.meta.code.returns = hasReturnValue(getFunctionNode(d.meta.code.node));
+    }
+}
+
 /**
  * Find and set missing AST nodes belonging to the given doclets
  * @param {ClassyDoclet[]} targets - list of targets to iterate through and fix
@@ -329,6 +707,36 @@ function fixDocletDescendants(targets, doclets) {
     }
 }
 
+/**
+ * Copy members of mixins to the doclets that mix them in, where JSDoc didn't, as JSDoc only mixes in static members,
+ * which leaves out instance members of mixins declared as classes
+ * @param {ClassyDoclet[]} targets - list of containers that mix in members of other containers
+ * @param {ClassyDoclet[]} doclets - list of all doclets, which any copied members will be added to
+ */
+function fixDocletMixins(targets, doclets) {
+    const longnames = new Set(doclets.map(({longname}) => longname));
+    
+    // Mixins may mix in other mixins, so give them their members before anything that mixes them in
+    for (let target of targets.sort((a, b) => (b.kind === "mixin") - (a.kind === "mixin"))) for (let mixin of target.mixes) {
+        const members = doclets.filter(({memberof, scope, undocumented}) => (memberof === mixin && ["static", "instance"].includes(scope) && !undocumented));
+        
+        for (let member of members) {
+            // Members mixed into classes become instance members, just like JSDoc does
+            const scope = (target.kind === "class" ? "instance" : member.scope);
+            const longname = `${target.longname}${helper.scopeToPunc[scope]}${member.name}`;
+            
+            if (!longnames.has(longname)) {
+                const copy = Object.assign(doop(member), {memberof: target.longname, longname, scope, mixed: true, mixes: [member.longname]});
+                // Cloning doesn't preserve maps, so copy type parameters separately
+                if (member.templates) copy.templates = new Map(member.templates);
+                
+                longnames.add(longname);
+                doclets.push(copy);
+            }
+        }
+    }
+}
+
 /* ************************************************************************ *
  *  For a package whose purpose is documentation of code,                   *
  *  JSDoc 3.x and 4.x is disappointingly lacking in code documentation.     *
@@ -1,5 +1,7 @@
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const {execFileSync} = require("child_process");
 const env = require("jsdoc/env");
 const helper = require("jsdoc/util/templateHelper");
 const logger = require("jsdoc/util/logger");
@@ -9,7 +11,9 @@ const JSDocTemplate = require("jsdoc/template").Template;
 const JSDocFilter = require("jsdoc/src/filter").Filter;
 const JSDocScanner = require("jsdoc/src/scanner").Scanner;
 const {JSDOM} = require("jsdom");
-const outdir = path.normalize(env.opts.destination);
+const destination = path.normalize(env.opts.destination);
+// Output directory may be moved into a subdirectory of the destination when publishing versioned documentation
+let outdir = destination;
 
 /**
  * Utilities used to help prepare doclet pages for publishing
@@ -21,9 +25,10 @@ class PublishUtils {
      * @param {String} templateName - name of the template supplied to JSDoc, for normalisation
      * @param {String} packageJsonPath - path to the package.json file of the package being documented
      * @param {String|PackageRepositoryData} packageRepository - value of the repository property in the package.json file
+     * @param {String} [packageVersion] - value of the version property in the package.json file
      * @returns {{templatePath: String, templateConfig: TemplateConfig, sourceFiles: SourceFilesData}}
      */
-    static getPublishConfig(templateName, packageJsonPath, packageRepository) {
+    static getPublishConfig(templateName, packageJsonPath, packageRepository, packageVersion) {
         // Normalise the template name into a usable path, and get some template config details
         const templatePath = (templateName === env.pwd || templateName.includes("node_modules") ? templateName : path.join(".", "node_modules", templateName));
         const {default: defaultConfig = {}, classy: classyConfig = {}} = env?.conf?.templates ?? {};
@@ -65,6 +70,31 @@ class PublishUtils {
              * @property {Boolean} showLogo - whether to show the package logo in the page header
              * @property {Boolean} showVersion - whether to show the package version in the page header
              * @property {Boolean} showGitLink - whether to show a link to the git repository in the page header
+             * @property {Boolean} showSearch - whether to generate a search index, and show a search box in the page header
+             * @property {"light"|"dark"|"auto"} theme - default colour scheme of generated pages, where "auto" follows user preference
+             * @property {Boolean} versioned - whether to write output to a subdirectory for the package version, and show a version switcher
+             * @property {String|Boolean} versionAlias - name of the subdirectory to copy the latest version's output to, or false to disable
+             * @property {Boolean} showVersionBanner - whether pages of versions other than the latest should show a banner linking to the latest
+             * @property {Boolean} outputApiJson - whether to write a machine-readable description of the documented API to an "api.json" file
+             * @property {String} [baseUrl] - public URL the documentation is hosted at, used for canonical links and the sitemap
+             * @property {Boolean} incremental - whether to only write files whose output has changed since the previous build
+             * @property {GitHostDefinition[]} gitHosts - user-specified git host definitions, checked before built-in hosts
+             * @property {String} sourceRef - whether hosted source links use the current "commit", a "tag" matching the package version, or an explicit ref
+             * @property {Boolean} gitHistory - whether to link to the history and blame of each symbol's source file on the git host
+             * @property {Boolean} lastChanged - whether to show when each symbol was last changed, according to the local git repository
+             * @property {Boolean} stripPromise - whether Promise types should be shown as the type they resolve to
+             * @property {"off"|"info"|"warn"|"error"} lint - severity to report documented parameters that don't match code with, or "off" to disable
+             * @property {Boolean} lintFail - whether the build should fail if any documented parameters don't match code
+             * @property {Boolean} coverage - whether to generate a documentation coverage page, and write coverage details to a "coverage.json" file
+             * @property {Number} coverageMinimum - percentage of public symbols that must be completely documented, below which the build fails
+             * @property {Boolean} verifyLinks - whether to report unresolved inline links, and links between generated pages that don't resolve
+             * @property {Boolean} verifyLinksFail - whether the build should fail if any unresolved or broken links are found
+             * @property {Boolean} hierarchy - whether to draw inheritance diagrams on class and interface pages, and generate a hierarchy page
+             * @property {Boolean} changes - whether to generate a page listing documented symbols grouped by the version they were added in
+             * @property {String} [newSince] - version after which symbols are badged as new, instead of only those added in the current version
+             * @property {Boolean} deprecations - whether to generate a page listing every deprecated symbol, grouped by container
+             * @property {Boolean} todos - whether to generate a page listing every outstanding to-do item, grouped by container
+             * @property {Boolean} hideDeprecated - whether deprecated symbols, and anything they contain, should be left out of the documentation entirely
              */
             classy: {
                 ...classyConfig,
@@ -72,7 +102,32 @@ class PublishUtils {
                 showName: classyConfig.showName ?? true,
                 showLogo: classyConfig.showLogo ?? !!classyConfig.logo,
                 showVersion: classyConfig.showVersion ?? true,
-                showGitLink: classyConfig.showGitLink ?? true
+                showGitLink: classyConfig.showGitLink ?? true,
+                showSearch: classyConfig.showSearch ?? true,
+                theme: ["light", "dark", "auto"].includes(classyConfig.theme) ? classyConfig.theme : "auto",
+                versioned: classyConfig.versioned ?? false,
+                versionAlias: classyConfig.versionAlias ?? "latest",
+                showVersionBanner: classyConfig.showVersionBanner ?? true,
+                outputApiJson: classyConfig.outputApiJson ?? false,
+                incremental: classyConfig.incremental ?? false,
+                gitHosts: PublishUtils.getGitHosts(classyConfig.gitHosts),
+                sourceRef: classyConfig.sourceRef || "commit",
+                gitHistory: classyConfig.gitHistory ?? false,
+                lastChanged: classyConfig.lastChanged ?? false,
+                stripPromise: classyConfig.stripPromise ?? true,
+                lint: ["info", "warn", "error"].includes(classyConfig.lint) ? classyConfig.lint : "off",
+                lintFail: classyConfig.lintFail ?? false,
+                coverage: classyConfig.coverage ?? false,
+                coverageMinimum: Number(classyConfig.coverageMinimum) || 0,
+                verifyLinks: classyConfig.verifyLinks ?? false,
+                verifyLinksFail: classyConfig.verifyLinksFail ?? false,
+                hierarchy: classyConfig.hierarchy ?? true,
+                changes: classyConfig.changes ?? true,
+                ...(classyConfig.newSince ? {newSince: String(classyConfig.newSince)} : {}),
+                deprecations: classyConfig.deprecations ?? true,
+                todos: classyConfig.todos ?? true,
+                hideDeprecated: classyConfig.hideDeprecated ?? false,
+                ...(classyConfig.baseUrl ? {baseUrl: String(classyConfig.baseUrl).replace(/\/?$/, "/")} : {})
             }
         });
         
@@ -80,11 +135,17 @@ class PublishUtils {
          * Configuration details about whether to generate pages for, or link to hosted versions of source files
          * @typedef {HostedGitData} SourceFilesData
          * @property {Boolean} output - whether the source files should be generated as standalone pages
-         * @property {String} line - prefix to use when linking to specific lines in source files
+         * @property {String} line - format of suffix to use when linking to specific lines in source files
+         * @property {String} [range] - format of suffix to use when linking to a range of lines in source files
          */
+        const {history, blame, ...repository} = PublishUtils.getRepository(packageJsonPath, packageRepository, templateConfig.classy.gitHosts, templateConfig.classy.sourceRef, packageVersion);
         const sourceFiles = {
-            output: templateConfig?.default?.outputSourceFiles !== false, line: "L",
-            ...PublishUtils.getRepository(packageJsonPath, packageRepository)
+            output: templateConfig?.default?.outputSourceFiles !== false, line: "#L{line}",
+            ...repository,
+            // Only link to history and blame views on the git host if asked to
+            ...(templateConfig.classy.gitHistory ? {history, blame} : {}),
+            // Generated source pages are linked instead of hosted ones when explicitly enabled, and can select whole ranges of lines
+            ...(templateConfig?.default?.outputSourceFiles === true || !repository.path ? {line: "#L{line}", range: "#L{line}-L{end}"} : {})
         };
         
         // Return the collated config for publish
@@ -105,8 +166,12 @@ class PublishUtils {
         const layout = !layoutFile ? "layout.tmpl" : JSDocPath.getResourcePath(path.dirname(layoutFile), path.basename(layoutFile));
         const find = (spec) => data(spec).get();
         const {linkto, htmlsafe, resolveAuthorLinks} = helper;
-        const {typeString, linkTutorial, summarise, getMasterPath} = PublishUtils;
+        const {typeString, linkTutorial, linkSource, linkCommit, versionBadge, summarise, getMasterPath, resolveUrl, renderHierarchy} = PublishUtils;
         const template = new JSDocTemplate(path.join(templatePath, "tmpl"));
+        const partial = template.partial.bind(template);
+        
+        // Resolve "import()" types against the source file of the doclet being rendered
+        template.partial = (file, data) => PublishUtils.withImporter(data?.meta, () => partial(file, data));
         
         /**
          * @typedef {Template} BootstrappedTemplate
@@ -120,9 +185,16 @@ class PublishUtils {
          * @property {typeof helper.resolveAuthorLinks} resolveAuthorLinks - method for linking to a doclet's author, from JSDoc template helper library
          * @property {typeof PublishUtils#typeString} typeString - method for generating type strings, from PublishUtils class
          * @property {typeof PublishUtils#linkTutorial} linkTutorial - method for linking to tutorial pages, from PublishUtils class
+         * @property {typeof PublishUtils#linkSource} linkSource - method for linking to the declaration of a doclet in a source file, from PublishUtils class
+         * @property {typeof PublishUtils#linkCommit} linkCommit - method for describing, and linking to, the commit that last changed a doclet, from PublishUtils class
+         * @property {typeof PublishUtils#versionBadge} versionBadge - method for badging doclets that are new, from PublishUtils class
          * @property {typeof PublishUtils#summarise} summarise - method for rendering doclet summaries, from PublishUtils class
          * @property {typeof PublishUtils#getMasterPath} getMasterPath - method for resolving the path to the master partial template to use when rendering a doclet page
+         * @property {typeof PublishUtils#resolveUrl} resolveUrl - method for resolving the public URL of a generated file, from PublishUtils class
+         * @property {typeof PublishUtils#renderHierarchy} renderHierarchy - method for drawing inheritance diagrams, from PublishUtils class
          * @property {String} [boilerplateNav] - generated HTML for the main navigation menu of a page
+         * @property {String} [changesLink] - location of the page listing symbols by the version they were added in, if generated
+         * @property {String} [globalsLink] - location of the page listing global members, if generated
          */
         return Object.assign(template, {
             // Expose doclets, package data, and source files to template
@@ -130,7 +202,7 @@ class PublishUtils {
             // Expose useful helper functions to template
             linkto, htmlsafe, resolveAuthorLinks,
             // Expose useful PublishUtils functions and values to template
-            typeString, linkTutorial, summarise, getMasterPath
+            typeString, linkTutorial, linkSource, linkCommit, versionBadge, summarise, getMasterPath, resolveUrl, renderHierarchy
         });
     }
     
@@ -143,8 +215,8 @@ class PublishUtils {
         // Default to using module template
         let name = "module";
         
-        // Handle main and source pages
-        if (["mainpage", "source", "tutorial"].includes(kind)) 
+        // Handle main, source, coverage, hierarchy, changes, deprecated, and to-do pages
+        if (["mainpage", "source", "tutorial", "coverage", "hierarchy", "changes", "deprecated", "todo"].includes(kind)) 
             name = kind;
         // Handle "class-like" pages
         if (DocletPage.classlike.includes(kind))
@@ -162,7 +234,7 @@ class PublishUtils {
      * @param {Object} [classyStatics] - static files specified by classy template config for inclusion in output
      * @param {String} [classyStatics.icon] - path to the icon file to be copied to output destination
      * @param {String} [classyStatics.logo] - path to the logo file to be copied to output destination
-     * @param {String} [classyStatics.gitImage] - path to the git image file to be copied to output destination
+     * @param {String} [classyStatics.gitImage] - name of the git image file in template assets, or absolute path to one, to be copied to output destination
      */
     static handleStatics(templatePath, defaultStatics, classyStatics) {
         // Get list of files to copy from template's static directory
@@ -210,10 +282,13 @@ class PublishUtils {
             
             // Add the git image file to the list, if specified
             if (typeof gitImage === "string") {
+                // User-specified images are given a fixed name, to avoid clashing with other assets
+                const sourcePath = (path.isAbsolute(gitImage) ? gitImage : path.join(templatePath, "assets", gitImage));
+                const fileName = (path.isAbsolute(gitImage) ? `git${path.extname(gitImage)}` : gitImage);
+                
                 staticFiles.push({
-                    sourcePath: path.join(templatePath, "assets", gitImage),
-                    fileName: path.join("assets", gitImage),
-                    fromDir: JSDocFS.toDir(path.join(templatePath, "assets"))
+                    sourcePath, fileName: path.join("assets", fileName),
+                    fromDir: JSDocFS.toDir(path.dirname(sourcePath))
                 });
             }
         }
@@ -223,6 +298,139 @@ class PublishUtils {
             const toDir = JSDocFS.toDir(sourcePath.replace(fromDir, path.join(outdir, "static")));
             
             JSDocFS.mkPath(path.join(toDir, path.dirname(fileName ?? "")));
+            PublishUtils.copyOutput(sourcePath, toDir, fileName);
+        }
+    }
+    
+    /**
+     * Name of the file in the output directory used to keep track of content hashes between incremental builds
+     * @type {String}
+     */
+    static manifestFile = ".classy-manifest.json";
+    
+    /**
+     * Content hashes of files written to the output directory by the previous and current builds, when building incrementally
+     * @type {{previous: Object.<string, string>, current: Object.<string, string>}|null}
+     * @private
+     */
+    static #manifest = null;
+    
+    /**
+     * Start keeping track of content hashes of written files, so unchanged files from the previous build aren't written again
+     */
+    static beginIncrementalBuild() {
+        let previous = {};
+        
+        // Read the manifest from the previous build, if there was one
+        try {
+            previous = JSON.parse(fs.readFileSync(path.join(outdir, PublishUtils.manifestFile), "utf8")).files ?? {};
+        } catch {
+            // Do nothing, this is the first incremental build
+        }
+        
+        PublishUtils.#manifest = {previous, current: {}};
+    }
+    
+    /**
+     * Remove files written by the previous build that weren't written by the current build, and save the manifest for the next build
+     */
+    static finishIncrementalBuild() {
+        if (!PublishUtils.#manifest) return;
+        
+        const {previous, current} = PublishUtils.#manifest;
+        
+        // Only remove files the previous build was known to have written
+        for (let fileName of Object.keys(previous)) if (!(fileName in current)) {
+            fs.rmSync(path.join(outdir, fileName), {force: true});
+        }
+        
+        fs.writeFileSync(path.join(outdir, PublishUtils.manifestFile), JSON.stringify({files: current}, null, 2), "utf8");
+        PublishUtils.#manifest = null;
+    }
+    
+    /**
+     * Check whether a file in the output directory is unchanged since the previous incremental build, and track its content hash
+     * @param {String} target - full path to the file in the output directory
+     * @param {String|Buffer} content - content used to determine whether the file has changed
+     * @returns {Boolean} whether the file can be left as is, because it exists and its content has not changed
+     * @private
+     */
+    static #isUnchanged(target, content) {
+        if (!PublishUtils.#manifest) return false;
+        
+        const fileName = path.relative(outdir, target).replace(/\\/g, "/");
+        const hash = crypto.createHash("sha1").update(content).digest("hex");
+        
+        PublishUtils.#manifest.current[fileName] = hash;
+        
+        return PublishUtils.#manifest.previous[fileName] === hash && fs.existsSync(target);
+    }
+    
+    /**
+     * Write a file to the output directory, unless it is unchanged since the previous incremental build
+     * @param {String} fileName - name of the file to write, relative to the output directory
+     * @param {String} content - content to write to the file
+     * @param {String} [hashable=content] - version of the content used to determine whether the file has changed
+     */
+    static writeOutput(fileName, content, hashable = content) {
+        const target = path.join(outdir, fileName);
+        
+        if (!PublishUtils.#isUnchanged(target, hashable)) {
+            fs.writeFileSync(target, content, "utf8");
+        }
+    }
+    
+    /**
+     * Write a file outside the output directory, like those shared between versions, unless building incrementally and its content is the same
+     * @param {String} target - full path to the file to write
+     * @param {String|Buffer} content - content to write to the file
+     * @param {Boolean} [incremental=false] - whether to compare the content with the existing file, and leave it as is if they match
+     * @private
+     */
+    static #writeShared(target, content, incremental = false) {
+        if (!incremental || !fs.existsSync(target) || !fs.readFileSync(target).equals(Buffer.from(content))) {
+            fs.writeFileSync(target, content);
+        }
+    }
+    
+    /**
+     * Make a directory outside the output directory match one inside it, only writing files that are new or have changed if building incrementally
+     * @param {String} from - full path to the directory to copy files from
+     * @param {String} to - full path to the directory to copy files to
+     * @param {Boolean} [incremental=false] - whether to leave files that already have the same content as is
+     * @private
+     */
+    static #syncOutput(from, to, incremental = false) {
+        JSDocFS.mkPath(to);
+        
+        // Remove anything that no longer exists, or has changed between being a file and a directory
+        for (let entry of fs.readdirSync(to, {withFileTypes: true})) {
+            const source = path.join(from, entry.name);
+            
+            if (!fs.existsSync(source) || fs.statSync(source).isDirectory() !== entry.isDirectory()) {
+                fs.rmSync(path.join(to, entry.name), {recursive: true, force: true});
+            }
+        }
+        
+        // Then copy over anything new or changed
+        for (let entry of fs.readdirSync(from, {withFileTypes: true})) {
+            const [source, target] = [path.join(from, entry.name), path.join(to, entry.name)];
+            
+            if (entry.isDirectory()) PublishUtils.#syncOutput(source, target, incremental);
+            else PublishUtils.#writeShared(target, fs.readFileSync(source), incremental);
+        }
+    }
+    
+    /**
+     * Copy a file to the output directory, unless it is unchanged since the previous incremental build
+     * @param {String} sourcePath - path to the file to copy
+     * @param {String} toDir - directory in the output directory to copy the file to
+     * @param {String} [fileName] - name to give the copied file, if different from the original
+     */
+    static copyOutput(sourcePath, toDir, fileName) {
+        const target = path.join(toDir, fileName ?? path.basename(sourcePath));
+        
+        if (!PublishUtils.#isUnchanged(target, fs.readFileSync(sourcePath))) {
             JSDocFS.copyFileSync(sourcePath, toDir, fileName);
         }
     }
@@ -275,18 +483,1066 @@ class PublishUtils {
     }
     
     /**
-     * Get a standardised version of a value's type string
-     * @param {String} name - the existing type string to standardise
-     * @returns {String} the standardised version of the value's type string
+     * Details about a single documented symbol or tutorial, used by the search box in the page header
+     * @typedef {Object} SearchIndexEntry
+     * @property {String} longname - the fully resolved name of the symbol, or the title of the tutorial
+     * @property {String} name - the short name of the symbol, or the title of the tutorial
+     * @property {String} kind - the kind of symbol being documented, or "tutorial" for tutorials
+     * @property {String} summary - plain text version of the symbol's summary, if any
+     * @property {String} description - plain text version of the symbol's description, or the tutorial's content
+     * @property {String} link - relative location of the symbol's page, and any anchor within the page
+     */
+    
+    /**
+     * Generate and save the search index used by the search box in the page header
+     * @param {ClassyDoclet[]} doclets - set of documented symbols to include in the search index
+     * @param {Tutorial} [tutorials] - root tutorial whose descendants should be included in the search index
+     */
+    static generateSearchIndex(doclets, tutorials) {
+        /** @type {SearchIndexEntry[]} */
+        const index = doclets
+            .filter(({longname}) => !!longname && !!helper.longnameToUrl[longname])
+            .map(({longname, name = longname, kind, summary, description, classdesc}) => ({
+                longname, name, kind, summary: PublishUtils.plainText(summary),
+                description: PublishUtils.plainText(description || classdesc),
+                link: helper.longnameToUrl[longname]
+            }));
+        
+        // Tutorials are nested, so flatten them to include all descendants as well
+        const flatten = ({children = []} = {}) => children.flatMap((t) => [t, ...flatten(t)]);
+        
+        for (let tutorial of flatten(tutorials)) {
+            const {name, title} = tutorial;
+            
+            index.push({
+                longname: title, name: title, kind: "tutorial", summary: "",
+                description: PublishUtils.plainText(tutorial.parse()), link: helper.tutorialToUrl(name)
+            });
+        }
+        
+        // Save the index as a script instead of JSON, so it can still be loaded from file:// locations without a server
+        PublishUtils.writeOutput("search-index.js", `window.classySearchIndex = ${JSON.stringify(index)};`);
+    }
+    
+    /**
+     * Resolve the public URL of a generated file, relative to the destination directory where documentation is hosted
+     * @param {String} [baseUrl] - public URL the destination directory is hosted at
+     * @param {String} fileName - name of the generated file, relative to the output directory
+     * @returns {String|undefined} the public URL of the generated file, or undefined if no base URL was specified
+     */
+    static resolveUrl(baseUrl, fileName) {
+        if (!baseUrl || !fileName) return undefined;
+        
+        // Versioned output is written to a subdirectory of the destination, so include it in the URL
+        return new URL(path.relative(destination, path.join(outdir, fileName)).replace(/\\/g, "/"), baseUrl).href;
+    }
+    
+    /**
+     * Generate and save a sitemap listing the public URL of every generated page
+     * @param {String} baseUrl - public URL the destination directory is hosted at
+     * @param {String[]} fileNames - names of every generated page, relative to the output directory
+     */
+    static generateSitemap(baseUrl, fileNames) {
+        const escape = (value) => value.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+        const urls = fileNames.map((fileName) => `    <url><loc>${escape(PublishUtils.resolveUrl(baseUrl, fileName))}</loc></url>`);
+        
+        PublishUtils.writeOutput("sitemap.xml", [
+            `<?xml version="1.0" encoding="UTF-8"?>`,
+            `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`, ...urls, `</urlset>`
+        ].join("\n"));
+    }
+    
+    /**
+     * Version of the schema describing the structure of the generated "api.json" file, incremented whenever the structure changes
+     * @type {Number}
+     */
+    static apiSchemaVersion = 1;
+    
+    /**
+     * Machine-readable description of the documented API, as saved to the "api.json" file
+     * @typedef {Object} ApiExport
+     * @property {Number} schemaVersion - version of the schema describing the structure of this file
+     * @property {{name: String, jsdoc: String}} generator - name of the template, and version of JSDoc, that generated this file
+     * @property {{name: String, version: String}} package - name and version of the documented package, if known
+     * @property {ApiExportSymbol[]} symbols - every documented container and member, sorted by long name
+     */
+    
+    /**
+     * @typedef {Object} ApiExportSymbol
+     * @property {String} longname - the fully resolved name of the symbol
+     * @property {String} name - the short name of the symbol
+     * @property {String} kind - the kind of symbol (e.g. class, namespace, function, member, etc.)
+     * @property {String} [scope] - the scope of the symbol (e.g. static, instance, inner, global)
+     * @property {String} [memberof] - the long name of the container this symbol is a member of
+     * @property {String} [summary] - HTML summary of the symbol
+     * @property {String} [description] - HTML description of the symbol
+     * @property {String[]} [type] - names of the symbol's types
+     * @property {String[]} [attributes] - attributes of the symbol (e.g. static, readonly, async, abstract, etc.)
+     * @property {ApiExportItem[]} [params] - parameters accepted by the symbol
+     * @property {ApiExportItem[]} [properties] - properties of the symbol
+     * @property {ApiExportItem[]} [returns] - values returned by the symbol
+     * @property {ApiExportItem[]} [throws] - exceptions thrown by the symbol
+     * @property {ApiExportItem[]} [templates] - type parameters of the symbol
+     * @property {{augments: String[], implements: String[], mixes: String[], overrides: String[], inherits: String, inherited: Boolean}} [heritage] - where the symbol inherits from
+     * @property {{file: String, line: Number, column: Number}} [source] - where the symbol is declared in source code
+     * @property {String} [link] - relative location of the symbol's generated page, and any anchor within the page
+     */
+    
+    /**
+     * @typedef {Object} ApiExportItem
+     * @property {String} [name] - name of the parameter, property, or type parameter
+     * @property {String[]} [type] - names of the item's types, or constraint of a type parameter
+     * @property {String} [description] - HTML description of the item
+     * @property {Boolean} [optional] - whether the item is optional
+     * @property {Boolean} [nullable] - whether the item may be null
+     * @property {Boolean} [variable] - whether the item accepts a variable number of values
+     * @property {*} [defaultvalue] - the default value of the item
+     */
+    
+    /**
+     * Generate and save a machine-readable description of the documented API to an "api.json" file
+     * @param {ClassyDoclet[]} doclets - set of documented containers and members to describe
+     * @param {PackageData} [packageData] - details about the package being documented
+     */
+    static generateApiJson(doclets, {name: packageName, version} = {}) {
+        // Only keep values that are actually set, so the output is easier to read and compare
+        const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) =>
+            (value !== undefined && value !== null && (!Array.isArray(value) || value.length > 0)
+                && (value?.constructor !== Object || Object.keys(value).length > 0))));
+        const items = (list) => (list ?? []).map(({name, type, description, optional, nullable, variable, defaultvalue}) =>
+            compact({name, type: type?.names, description, optional: optional || undefined, nullable, variable: variable || undefined, defaultvalue}));
+        const list = (value) => (value === undefined ? undefined : [value].flat());
+        
+        /** @type {ApiExportSymbol[]} */
+        const symbols = doclets
+            .filter(({longname}) => !!longname)
+            .map((doclet) => compact({
+                longname: doclet.longname, name: doclet.name, kind: doclet.kind, scope: doclet.scope, memberof: doclet.memberof,
+                summary: doclet.summary, description: doclet.description || doclet.classdesc, type: doclet.type?.names,
+                attributes: helper.getAttribs(doclet), params: items(doclet.params), properties: items(doclet.properties),
+                returns: items(doclet.returns ?? doclet.yields), throws: items(doclet.exceptions),
+                templates: items([...(doclet.templates?.values() ?? [])]),
+                overloads: doclet.overloads?.map((overload) => compact({
+                    description: overload.description, params: items(overload.params),
+                    returns: items(overload.returns ?? overload.yields), throws: items(overload.exceptions)
+                })),
+                heritage: compact({
+                    augments: doclet.augments, implements: doclet.implements, mixes: doclet.mixes,
+                    overrides: list(doclet.overrides), inherits: doclet.inherits, inherited: doclet.inherited || undefined
+                }),
+                source: !doclet.meta ? undefined : compact({
+                    file: (doclet.meta.shortpath ?? path.relative(env.pwd, doclet.meta.source ?? "")).replace(/\\/g, "/"),
+                    line: doclet.meta.lineno, column: doclet.meta.columnno
+                }),
+                link: helper.longnameToUrl[doclet.longname]
+            }))
+            .sort((a, b) => a.longname.localeCompare(b.longname) || a.kind.localeCompare(b.kind));
+        
+        /** @type {ApiExport} */
+        const api = {
+            schemaVersion: PublishUtils.apiSchemaVersion,
+            generator: {name: "classy-template", jsdoc: env.version.number},
+            package: compact({name: packageName, version}),
+            symbols
+        };
+        
+        PublishUtils.writeOutput("api.json", JSON.stringify(api, null, 2));
+    }
+    
+    /**
+     * Documentation coverage of the documented API, as saved to the "coverage.json" file and shown on the coverage page
+     * @typedef {Object} CoverageReport
+     * @property {{name: String, jsdoc: String}} generator - name of the template, and version of JSDoc, that generated this file
+     * @property {{name: String, version: String}} package - name and version of the documented package, if known
+     * @property {CoverageTotals} summary - coverage totals of all symbols
+     * @property {Array<CoverageTotals & {file: String}>} files - coverage totals of symbols declared in each source file
+     * @property {Array<CoverageTotals & {longname: String}>} containers - coverage totals of symbols belonging to each container, or "global"
+     * @property {CoverageSymbol[]} symbols - every symbol that is undocumented, or is missing some documentation
+     */
+    
+    /**
+     * @typedef {Object} CoverageTotals
+     * @property {Number} total - number of symbols considered
+     * @property {Number} documented - number of symbols with documentation comments
+     * @property {Number} undocumented - number of symbols without documentation comments
+     * @property {Number} complete - number of documented symbols that aren't missing any documentation
+     * @property {Number} percentage - percentage of symbols that are completely documented, to one decimal place
+     */
+    
+    /**
+     * @typedef {Object} CoverageSymbol
+     * @property {String} longname - the fully resolved name of the symbol
+     * @property {String} kind - the kind of symbol (e.g. class, namespace, function, member, etc.)
+     * @property {String} container - the long name of the container the symbol belongs to, or "global"
+     * @property {String} file - the source file the symbol is declared in, relative to the working directory
+     * @property {Number} [line] - the line of the source file the symbol is declared on
+     * @property {Boolean} documented - whether the symbol has a documentation comment
+     * @property {{description: Boolean, params: String[], returns: Boolean}} [missing] - which parts of the symbol's documentation are missing
+     * @property {String} [link] - relative location of the symbol's generated page, and any anchor within the page
+     */
+    
+    /**
+     * Measure documentation coverage of public symbols, and save it to a "coverage.json" file
+     * @param {ClassyDoclet[]} doclets - set of documented containers and members to measure coverage of
+     * @param {ClassyDoclet[]} undocumented - set of symbols found in code without documentation comments, before they were pruned
+     * @param {PackageData} [packageData] - details about the package being documented
+     * @returns {CoverageReport} the documentation coverage of public symbols
+     */
+    static generateCoverage(doclets, undocumented, {name: packageName, version} = {}) {
+        const kinds = [...DocletPage.containers, ...DocletPage.members];
+        // Only consider public symbols, and skip copies of symbols that were inherited or mixed in from elsewhere
+        const isPublic = ({longname, kind, access, scope, inherited, mixed}) => (!!longname && kinds.includes(kind)
+            && access !== "private" && (scope !== "inner" || ["typedef", "event"].includes(kind)) && !inherited && !mixed);
+        const documented = doclets.filter(isPublic);
+        const longnames = new Set(documented.map(({longname}) => longname));
+        const containers = new Set(documented.filter(({kind}) => DocletPage.containers.includes(kind)).map(({longname}) => longname));
+        const file = ({meta}) => path.relative(env.pwd, meta?.source ?? path.join(meta?.path ?? "", meta?.filename ?? "")).replace(/\\/g, "/");
+        const percentage = (complete, total) => (total ? Math.floor(complete / total * 1000) / 10 : 100);
+        
+        /** @type {CoverageSymbol[]} */
+        const symbols = [
+            ...documented.map((doclet) => {
+                const {longname, kind, description, classdesc, summary, params = [], returns, yields, meta} = doclet;
+                // Parameters declared in code count as missing when no signature of the symbol documents them
+                const named = new Set([doclet, ...(doclet.overloads ?? [])].flatMap(({params = []}) => params.map(({name}) => name)));
+                const omitted = (meta?.code?.paramnames ?? []).filter((name) => /^[\w$]+$/.test(name ?? "") && !named.has(name));
+                const missing = {
+                    description: !description && !classdesc && !summary,
+                    params: [...new Set([...params.filter(({name, description}) => !!name && !description).map(({name}) => name), ...omitted])],
+                    returns: kind === "function" && !!meta?.code?.returns && !returns?.length && !yields?.length
+                };
+                
+                return {doclet, documented: true, missing: (missing.description || missing.params.length || missing.returns ? missing : undefined)};
+            }),
+            // Undocumented symbols only count if they belong to a documented container, or are global classes and functions
+            ...undocumented.filter(isPublic).filter(({longname, kind, memberof}) => (!longnames.has(longname)
+                    && (!memberof ? ["class", "function"].includes(kind) : containers.has(memberof))))
+                .filter(({longname}, index, list) => (list.findIndex((d) => d.longname === longname) === index))
+                .map((doclet) => ({doclet, documented: false}))
+        ].map(({doclet, documented, missing}) => ({
+            longname: doclet.longname, kind: doclet.kind, container: doclet.memberof || "global",
+            file: file(doclet), line: doclet.meta?.lineno, documented,
+            ...(missing ? {missing} : {}),
+            ...(documented && helper.longnameToUrl[doclet.longname] ? {link: helper.longnameToUrl[doclet.longname]} : {})
+        }));
+        
+        // Work out totals for a set of symbols, and for each group of symbols sharing some detail
+        const totals = (items) => {
+            const documented = items.filter(({documented}) => documented).length;
+            const complete = items.filter(({documented, missing}) => documented && !missing).length;
+            
+            return {total: items.length, documented, undocumented: items.length - documented, complete, percentage: percentage(complete, items.length)};
+        };
+        const group = (key) => [...new Set(symbols.map((symbol) => symbol[key]))].sort()
+            .map((value) => ({[key === "container" ? "longname" : key]: value, ...totals(symbols.filter((symbol) => symbol[key] === value))}));
+        
+        /** @type {CoverageReport} */
+        const report = {
+            generator: {name: "classy-template", jsdoc: env.version.number},
+            package: Object.fromEntries(Object.entries({name: packageName, version}).filter(([, value]) => value !== undefined)),
+            summary: totals(symbols),
+            files: group("file"),
+            containers: group("container"),
+            symbols: symbols.filter(({documented, missing}) => !documented || !!missing)
+                .sort((a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0))
+        };
+        
+        PublishUtils.writeOutput("coverage.json", JSON.stringify(report, null, 2));
+        
+        return report;
+    }
+    
+    /**
+     * Report inline link and tutorial tags in doclets and tutorials whose targets can't be resolved, which would otherwise be rendered as plain text
+     * @param {ClassyDoclet[]} doclets - set of doclets whose descriptions and other details should be checked
+     * @param {Tutorial} [tutorials] - root tutorial whose descendants should be checked
+     * @param {String} [readme] - HTML content of the supplied README, if any
+     * @returns {Number} the number of unresolved links that were reported
+     */
+    static verifyLinks(doclets, tutorials, readme) {
+        const seen = new Set();
+        const reported = new Set();
+        let broken = 0;
+        
+        // Find inline tags the same way JSDoc does, and check their targets would actually resolve to something
+        const check = (text, source) => {
+            for (let [, tag, content] of String(text).matchAll(/\{@(link|linkcode|linkplain|tutorial)\s+((?:.|\n)+?)\}/gi)) {
+                const target = (tag.toLowerCase() === "tutorial" ? content.trim() : content.trim().split(content.includes("|") ? "|" : /\s/).shift().trim());
+                const resolved = (tag.toLowerCase() === "tutorial" ? helper.toTutorial(target).startsWith("<a ")
+                    : (/^(?:https?|ftp):\/\//.test(target.replace(/^<|>$/g, "")) || !!helper.longnameToUrl[target.replace(/^<|>$/g, "")]));
+                
+                // Summaries repeat descriptions, so only report each target once per source
+                if (!resolved && !reported.has(`${source} ${tag} ${target}`)) {
+                    reported.add(`${source} ${tag} ${target}`);
+                    logger.warn(`${source}: Unresolved link to ${tag.toLowerCase() === "tutorial" ? "tutorial" : "symbol"} "${target}"`);
+                    broken++;
+                }
+            }
+        };
+        
+        // Go through every string in a doclet's details, without following references to other doclets
+        const walk = (value, source) => {
+            if (typeof value === "string") check(value, source);
+            else if (!!value && typeof value === "object" && !seen.has(value)) {
+                seen.add(value);
+                
+                if (value instanceof Map || Array.isArray(value)) for (let item of value.values()) walk(item, source);
+                else if (value.constructor === Object) for (let item of Object.values(value)) walk(item, source);
+            }
+        };
+        
+        // Overloads are rendered as part of their doclet, but are doclets in their own right
+        for (let doclet of doclets) for (let item of [doclet, ...(doclet.overloads ?? [])]) {
+            const {longname} = doclet;
+            const {meta} = item;
+            const source = `${longname}${meta ? ` (${meta.filename}:${meta.lineno})` : ""}`;
+            
+            // Raw comments and code details aren't rendered, so don't check them
+            for (let [key, value] of Object.entries(item)) if (!["comment", "meta", "overloads"].includes(key)) walk(value, source);
+        }
+        
+        // Tutorials are nested, so flatten them to check all descendants as well
+        const flatten = ({children = []} = {}) => children.flatMap((t) => [t, ...flatten(t)]);
+        for (let tutorial of flatten(tutorials)) check(tutorial.content, `Tutorial "${tutorial.name}"`);
+        if (!!readme) check(readme, "README");
+        
+        return broken;
+    }
+    
+    /**
+     * Report links between generated files that point to files or element IDs which don't exist in the output directory
+     * @param {String[]} fileNames - names of every generated page, relative to the output directory
+     * @param {String[]} [sourcePages=[]] - names of generated source file pages, whose line and range anchors are added when viewed in the browser
+     * @returns {Number} the number of broken links that were reported
      */
-    static typeString(name) {
-        // Turn clojure array syntax back into JSDoc array syntax!
-        return name
-            .replace(/Promise\.(?:<|&lt;)(.*)>/g, "$1")
-            .replace(/(Map|Record|Set)\.((<|&lt;).*?)/g, "$1$2")
-            .replace(/Array\.(?:<|&lt;)(.*)>/g, "$1[]")
-            .replace(/(.*>)(?:.*?)~(.*)/g, "$1~$2")
-            .replace(/(.*?)\.((<|&lt;).*?[>].*)/g, "$1");
+    static verifyOutput(fileNames, sourcePages = []) {
+        const documents = new Map();
+        const reported = new Set();
+        let broken = 0;
+        
+        // Parse generated pages as they are needed, keeping the IDs of elements that links can point to
+        const ids = (fileName) => {
+            if (!documents.has(fileName)) {
+                const html = fs.readFileSync(path.join(outdir, fileName), "utf8");
+                const fragment = JSDOM.fragment(html);
+                
+                documents.set(fileName, {fragment, ids: new Set([...fragment.querySelectorAll("[id], a[name]")].map((e) => e.id || e.getAttribute("name")))});
+            }
+            
+            return documents.get(fileName).ids;
+        };
+        
+        for (let fileName of fileNames) {
+            ids(fileName);
+            
+            for (let element of documents.get(fileName).fragment.querySelectorAll("[href], [src]")) {
+                const url = element.getAttribute("href") ?? element.getAttribute("src");
+                
+                // Only check links to other files in the output directory
+                if (!url || /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(url)) continue;
+                
+                const [, file, fragment] = /^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/.exec(url);
+                const target = (!file ? fileName : path.join(path.dirname(fileName), decodeURIComponent(file)).replace(/\\/g, "/"));
+                const exists = !!file ? fs.existsSync(path.join(outdir, target)) : true;
+                const id = (fragment === undefined ? "" : decodeURIComponent(fragment));
+                // Only pages can be checked for element IDs, and line anchors of source pages won't exist until they're viewed
+                const found = exists && (!id || !/\.html?$/.test(target) || (sourcePages.includes(target) && /^L\d+(?:-L\d+)?$/.test(id)) || ids(target).has(id));
+                
+                if (!found && !reported.has(`${fileName} ${url}`)) {
+                    reported.add(`${fileName} ${url}`);
+                    logger.warn(`${fileName}: Broken link to "${url}"${exists ? `, as no element with ID "${id}" was found` : ""}`);
+                    broken++;
+                }
+            }
+        }
+        
+        return broken;
+    }
+    
+    /**
+     * Details about all published versions of versioned documentation, shared by every version
+     * @typedef {Object} VersionsManifest
+     * @property {String} latest - the most recent version of the documentation, in semver order
+     * @property {String|Boolean} alias - name of the subdirectory containing a copy of the latest version, if any
+     * @property {VersionsManifestEntry[]} versions - details of each published version, most recent first
+     */
+    
+    /**
+     * @typedef {Object} VersionsManifestEntry
+     * @property {String} version - the package version this documentation was published for
+     * @property {String} path - name of the subdirectory of the destination directory containing this version
+     * @property {String[]} pages - names of every page generated for this version, used to find matching pages between versions
+     */
+    
+    /**
+     * Add the current version to the versions manifest, and copy its output to the latest version alias if necessary
+     * @param {String} version - the package version the current output was published for
+     * @param {String|Boolean} [alias] - name of the subdirectory to copy the latest version's output to, if any
+     * @param {Boolean} [incremental=false] - whether to only write shared files, and files in the alias directory, when their contents change
+     */
+    static generateVersions(version, alias, incremental = false) {
+        const manifestPath = path.join(destination, "versions.json");
+        /** @type {VersionsManifest} */
+        let manifest = {versions: []};
+        
+        // Read any existing manifest, so previously published versions are kept
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        } catch {
+            // Do nothing, this is the first published version
+        }
+        
+        // Add or replace the current version, with a list of pages for matching between versions
+        const pages = fs.readdirSync(outdir).filter((f) => f.endsWith(".html"));
+        const versions = [...(manifest.versions ?? []).filter((v) => v.version !== version), {version, path: path.basename(outdir), pages}]
+            .sort((a, b) => PublishUtils.compareVersions(b.version, a.version));
+        // Prefer the most recent full release as the latest version, if there is one
+        const {version: latest} = versions.find((v) => !v.version.includes("-")) ?? versions[0];
+        
+        manifest = {latest, alias: alias || false, versions};
+        
+        // Save the manifest as JSON for tooling, and as a script so it can be loaded from file:// locations without a server
+        PublishUtils.#writeShared(manifestPath, JSON.stringify(manifest, null, 2), incremental);
+        PublishUtils.#writeShared(path.join(destination, "versions.js"), `window.classyVersions = ${JSON.stringify(manifest)};`, incremental);
+        // Redirect from the destination directory's index to the latest version
+        PublishUtils.#writeShared(path.join(destination, "index.html"), `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">`
+            + `<meta http-equiv="refresh" content="0; url=${alias || latest}/index.html"></head></html>`, incremental);
+        
+        // If this is the latest version, bring the contents of the alias directory in line with the current output
+        if (!!alias && latest === version) {
+            PublishUtils.#syncOutput(outdir, path.join(destination, alias), incremental);
+        }
+    }
+    
+    /**
+     * Compare two semantic version strings, for sorting in ascending order
+     * @param {String} a - the first version string to compare
+     * @param {String} b - the second version string to compare
+     * @returns {Number} negative if the first version comes before the second, positive if after, or zero if equivalent
+     */
+    static compareVersions(a, b) {
+        // Split versions into numeric release parts and a pre-release label, ignoring any build metadata
+        const parse = (v) => {
+            const [, release = "", pre = ""] = /^v?([^-+]*)(?:-([^+]*))?/.exec(String(v ?? "")) ?? [];
+            return [release.split(".").map((n) => Number(n) || 0), pre];
+        };
+        const [[releaseA, preA], [releaseB, preB]] = [parse(a), parse(b)];
+        
+        for (let i = 0; i < Math.max(releaseA.length, releaseB.length); i++) {
+            const difference = (releaseA[i] ?? 0) - (releaseB[i] ?? 0);
+            if (difference !== 0) return difference;
+        }
+        
+        // Pre-release versions come before their full release
+        if (!preA !== !preB) return (!preA ? 1 : -1);
+        return preA.localeCompare(preB, undefined, {numeric: true});
+    }
+    
+    /**
+     * Remove deprecated doclets from the dataset, along with any doclets they contain
+     * @param {Salty} data - constructed and filtered dataset of JSDoc doclets
+     */
+    static pruneDeprecated(data) {
+        let longnames = data({deprecated: {isUndefined: false}}).get().map(({longname}) => longname);
+        
+        data({deprecated: {isUndefined: false}}).remove();
+        
+        // Keep going until there are no more members of removed containers
+        while (longnames.length) {
+            const members = data({memberof: longnames});
+            
+            longnames = members.get().map(({longname}) => longname);
+            members.remove();
+        }
+    }
+    
+    /**
+     * Generate a badge showing the version a doclet was added in, if it was marked as new
+     * @param {ClassyDoclet} doclet - the doclet to generate a badge for
+     * @returns {String} HTML for the version badge, or an empty string if the doclet isn't new
+     */
+    static versionBadge({isNew, since}) {
+        return (!isNew ? "" : ` <span class="version-badge" title="Added in ${helper.htmlsafe(since)}">${helper.htmlsafe(since)}</span>`);
+    }
+    
+    /**
+     * Extract the text content of an HTML string, with whitespace collapsed
+     * @param {String} [html] - the HTML string to extract text content from
+     * @returns {String} the text content of the HTML string, or an empty string if none was supplied
+     */
+    static plainText(html) {
+        return (!html ? "" : JSDOM.fragment(html).textContent.replace(/\s+/g, " ").trim());
+    }
+    
+    /**
+     * Parsed representation of a type expression, as a node in a tree of types
+     * @typedef {Object} TypeNode
+     * @property {"name"|"literal"|"union"|"generic"|"array"|"tuple"|"record"|"function"|"arrow"|"operator"|"indexed"|"import"} kind - what sort of type the node represents
+     * @property {String} [name] - name of the type for name nodes, the raw value for literal nodes, or the imported member for import nodes
+     * @property {String} [path] - the quoted module path for import nodes
+     * @property {String} [operator] - the "typeof" or "keyof" type operator for operator nodes
+     * @property {TypeNode} [type] - the type operated on, for operator nodes
+     * @property {TypeNode} [base] - the type that type arguments are applied to, for generic nodes
+     * @property {TypeNode} [element] - the type of each element, for array nodes
+     * @property {TypeNode} [object] - the type whose member type is being accessed, for indexed nodes
+     * @property {TypeNode} [index] - the type of the key of the member being accessed, for indexed nodes
+     * @property {TypeNode[]} [types] - member types for union and tuple nodes, or type arguments for generic nodes
+     * @property {TypeRecordField[]} [fields] - keys, and types of any values, for record nodes
+     * @property {Array<TypeNode|TypeArrowParameter>} [params] - parameter types for function nodes, or named parameters for arrow nodes
+     * @property {TypeNode} [returns] - return type for function and arrow nodes, if specified
+     * @property {Boolean} [instantiable] - whether an arrow node is for a constructor, marked with "new"
+     * @property {String} [label] - whether a function parameter specifies the function's "this" or "new" type
+     * @property {Boolean} [nullable] - true if the type is marked as nullable with "?", or false if marked as non-null with "!"
+     * @property {Boolean} [variable] - whether the type is marked as repeatable with "..."
+     * @property {Boolean} [optional] - whether the type is marked as optional with a trailing "="
+     */
+    
+    /**
+     * Field of a record type, which may be mapped from another type or be an index signature in TypeScript
+     * @typedef {Object} TypeRecordField
+     * @property {String} [key] - name of the field, if it isn't mapped or an index signature
+     * @property {{name: String, operator: "in"|":", type: TypeNode}} [parameter] - the key name, and the type it is in or is, for mapped fields and index signatures
+     * @property {TypeNode} [type] - type of the field's value, if specified
+     * @property {Boolean} [optional] - whether the field is marked as optional with "?"
+     */
+    
+    /**
+     * Named parameter of a TypeScript arrow function type
+     * @typedef {Object} TypeArrowParameter
+     * @property {String} name - name of the parameter
+     * @property {TypeNode} [type] - type of the parameter, if specified
+     * @property {Boolean} [optional] - whether the parameter is marked as optional with "?"
+     * @property {Boolean} [variable] - whether the parameter is a rest parameter, marked with "..."
+     */
+    
+    /**
+     * Parse a type expression, like those found in a doclet's type names, into a tree of types
+     * @param {String} expression - the type expression to parse
+     * @returns {TypeNode} the root node of the parsed type expression
+     * @throws {SyntaxError} if the expression is not a valid type expression
+     */
+    static parseType(expression) {
+        const source = String(expression);
+        // Names may include namespaces, scope punctuation, quoted segments, and "module:", "external:", or "event:" prefixes
+        const namePattern = /(?:[\w$@\/\-~#*]|"[^"]*"|\.(?!<)|(?<=\b(?:module|external|event)):(?=\S))+/y;
+        const literalPattern = /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/y;
+        let position = 0;
+        
+        // Helpers for reading tokens from the source expression
+        const fail = () => {
+            throw new SyntaxError(`Unexpected "${source.charAt(position)}" at position ${position} of type expression "${source}"`);
+        };
+        const skip = () => {
+            while (/\s/.test(source.charAt(position))) position++;
+        };
+        const peek = (token) => (skip(), source.startsWith(token, position));
+        const take = (token) => (peek(token) && (position += token.length) > 0);
+        const expect = (token) => (take(token) || fail());
+        const match = (pattern) => {
+            skip();
+            pattern.lastIndex = position;
+            
+            const [value] = pattern.exec(source) ?? [];
+            if (value) position += value.length;
+            
+            return value;
+        };
+        const list = (close, parseItem, separators = [","]) => {
+            const items = [];
+            
+            do if (!peek(close)) items.push(parseItem()); while (separators.some((separator) => take(separator)));
+            expect(close);
+            
+            return items;
+        };
+        
+        // Unions are made up of one or more types separated by pipes
+        const parseUnion = () => {
+            const types = [parseModified()];
+            while (take("|")) types.push(parseModified());
+            
+            return (types.length === 1 ? types[0] : {kind: "union", types});
+        };
+        
+        // Types may have prefix and suffix modifiers, which JSDoc uses to mark nullable, repeatable, and optional types
+        const parseModified = () => {
+            const modifiers = {...(take("...") ? {variable: true} : {})};
+            
+            // A lone question mark is the "unknown" type, otherwise it marks the type as nullable
+            if (take("?")) {
+                if (/^\s*(?:[,;|)>\]}=:]|$)/.test(source.slice(position))) return {kind: "name", name: "?", ...modifiers};
+                else modifiers.nullable = true;
+            } else if (take("!")) {
+                modifiers.nullable = false;
+            }
+            
+            const node = parseOperand();
+            
+            if (take("?")) modifiers.nullable = true;
+            else if (take("!")) modifiers.nullable = false;
+            if (match(/=(?!>)/y)) modifiers.optional = true;
+            
+            return Object.assign(node, modifiers);
+        };
+        
+        // Operands may be prefixed by TypeScript's type operators, and followed by array, indexed access, and type argument suffixes
+        const parseOperand = () => {
+            const operator = match(/(?:typeof|keyof)(?=\s)/y);
+            if (operator) return {kind: "operator", operator, type: parseOperand()};
+            
+            let node = parsePrimary();
+            
+            while (true) {
+                if (take("[]")) node = {kind: "array", element: node};
+                else if (take(".<") || take("<")) node = {kind: "generic", base: node, types: list(">", parseUnion)};
+                else if (take("[")) {
+                    const index = parseUnion();
+                    expect("]");
+                    
+                    node = {kind: "indexed", object: node, index};
+                } else break;
+            }
+            
+            return node;
+        };
+        
+        // Arrow functions look like grouped types until the arrow, so go back if there isn't one
+        const parseArrow = () => {
+            const start = position;
+            
+            try {
+                const instantiable = !!match(/new(?=\s*\()/y);
+                expect("(");
+                
+                const params = list(")", () => {
+                    const variable = take("...");
+                    const name = match(/[\w$]+/y) ?? fail();
+                    const optional = take("?");
+                    
+                    return {name, ...(take(":") ? {type: parseUnion()} : {}), ...(optional ? {optional} : {}), ...(variable ? {variable} : {})};
+                });
+                
+                expect("=>");
+                
+                return {kind: "arrow", params, returns: parseUnion(), ...(instantiable ? {instantiable} : {})};
+            } catch (ex) {
+                position = start;
+            }
+        };
+        
+        // Primary types are names, literals, imports, or compound types wrapped in some kind of bracket
+        const parsePrimary = () => {
+            if (peek("(") || /^\s*new\s*\(/.test(source.slice(position))) {
+                const arrow = parseArrow();
+                if (arrow) return arrow;
+            }
+            
+            if (take("(")) {
+                const node = parseUnion();
+                expect(")");
+                
+                return node;
+            }
+            
+            if (take("{")) return {kind: "record", fields: list("}", () => {
+                // Fields can be mapped from another type, or be index signatures, in TypeScript
+                if (take("[")) {
+                    const name = match(/[\w$]+/y) ?? fail();
+                    const operator = match(/in(?=\s)/y) ?? (expect(":") && ":");
+                    const parameter = {name, operator, type: parseUnion()};
+                    const optional = (expect("]") && take("?"));
+                    
+                    expect(":");
+                    
+                    return {parameter, ...(optional ? {optional} : {}), type: parseUnion()};
+                }
+                
+                const key = match(literalPattern) ?? match(/[\w$]+/y) ?? fail();
+                const optional = take("?");
+                
+                return {key, ...(optional ? {optional} : {}), ...(take(":") ? {type: parseUnion()} : {})};
+            }, [",", ";"])};
+            
+            if (take("[")) return {kind: "tuple", types: list("]", parseUnion)};
+            
+            if (match(/function(?=\s*\()/y)) {
+                expect("(");
+                
+                const params = list(")", () => {
+                    const label = match(/(?:this|new)(?=\s*:)/y);
+                    if (label) expect(":");
+                    
+                    return Object.assign(parseUnion(), label ? {label} : {});
+                });
+                
+                return {kind: "function", params, ...(take(":") ? {returns: parseModified()} : {})};
+            }
+            
+            if (match(/import(?=\s*\()/y)) {
+                expect("(");
+                
+                const path = match(literalPattern) ?? fail();
+                expect(")");
+                
+                return {kind: "import", path, ...(take(".") ? {name: match(namePattern) ?? fail()} : {})};
+            }
+            
+            const literal = match(literalPattern);
+            if (literal) return {kind: "literal", name: literal};
+            
+            const name = match(namePattern);
+            if (name) return {kind: "name", name};
+            
+            return fail();
+        };
+        
+        const node = parseUnion();
+        
+        // Make sure the whole expression was consumed
+        if (skip(), position < source.length) fail();
+        
+        return node;
+    }
+    
+    /**
+     * Whether a parsed type is a Promise with a type argument, whose wrapper could be stripped
+     * @param {TypeNode} node - the parsed type to check
+     * @returns {Boolean} whether the type is a Promise with a known resolved type
+     * @private
+     */
+    static #isPromise({kind, base, types}) {
+        return kind === "generic" && base?.kind === "name" && base.name === "Promise" && types.length > 0;
+    }
+    
+    /**
+     * Add any modifiers of a parsed type to its string representation
+     * @param {TypeNode} node - the parsed type whose modifiers should be added
+     * @param {String} value - the string representation of the type, without modifiers
+     * @returns {String} the string representation of the type, with modifiers
+     * @private
+     */
+    static #modify({variable, nullable, optional}, value) {
+        return `${variable ? "..." : ""}${nullable === true ? "?" : nullable === false ? "!" : ""}${value}${optional ? "=" : ""}`;
+    }
+    
+    /**
+     * Format the fields of a record type, or the parameters of an arrow function type, using a given method to format their types
+     * @param {TypeNode} node - the parsed record or arrow function type whose fields or parameters should be formatted
+     * @param {Function} format - method to format the type of each field or parameter
+     * @param {Function} [escape] - method to make names of fields or parameters safe for output
+     * @returns {String} the formatted fields or parameters, separated by commas
+     * @private
+     */
+    static #formatMembers({kind, fields, params}, format, escape = (value) => value) {
+        return (kind === "record" ? fields : params).map(({key, name, parameter, type, optional, variable}) => {
+            const label = (!parameter ? escape(key ?? name) : `[${parameter.name}${parameter.operator === "in" ? " in " : ": "}${format(parameter.type)}]`);
+            
+            return `${variable ? "..." : ""}${label}${optional ? "?" : ""}${type ? `: ${format(type)}` : ""}`;
+        }).join(", ");
+    }
+    
+    /**
+     * Documented symbols declared in each source file, keyed by the file's path without its extension, for resolving "import()" types
+     * @type {Map.<string, JSDocDoclet[]>}
+     * @private
+     */
+    static #importable = new Map();
+    
+    /**
+     * Directories of the source files declaring the doclets currently being rendered, innermost last
+     * @type {String[]}
+     * @private
+     */
+    static #importers = [];
+    
+    /**
+     * Note which source file declares each of the given doclets, so "import()" types can be resolved to the symbols they refer to
+     * @param {JSDocDoclet[]} doclets - set of doclets, with resolved source file paths, that "import()" types may refer to
+     */
+    static declareImports(doclets) {
+        PublishUtils.#importable.clear();
+        
+        for (let doclet of doclets) if (!!doclet.meta?.source && !doclet.inherited && !doclet.mixed) {
+            const key = PublishUtils.#importKey(doclet.meta.source);
+            PublishUtils.#importable.set(key, [...(PublishUtils.#importable.get(key) ?? []), doclet]);
+        }
+    }
+    
+    /**
+     * Resolve any relative "import()" types encountered while running a callback against the source file that declares a doclet
+     * @param {Object} [meta] - details of where the doclet was declared, if known, otherwise the enclosing doclet's source file is used
+     * @param {Function} callback - method that renders the doclet, or any of its types
+     * @returns {*} the value returned by the callback
+     */
+    static withImporter(meta, callback) {
+        const importer = (meta?.path && meta.path !== "null" ? meta.path : undefined);
+        
+        if (importer) PublishUtils.#importers.push(importer);
+        
+        try {
+            return callback();
+        } finally {
+            if (importer) PublishUtils.#importers.pop();
+        }
+    }
+    
+    /**
+     * Get the key that a source file's documented symbols are stored under, regardless of how an "import()" type names the file
+     * @param {String} filePath - absolute path to the source file, with or without its extension or index file name
+     * @returns {String} the path to the source file without any extension or index file name
+     * @private
+     */
+    static #importKey(filePath) {
+        return path.normalize(filePath).replace(/\.[cm]?[jt]sx?$/, "").replace(/[\\/]index$/, "");
+    }
+    
+    /**
+     * Find the long name of the documented symbol that a TypeScript "import()" type refers to
+     * @param {String} modulePath - the quoted path of the imported module
+     * @param {String} [name] - the name of the member of the module being imported, if any
+     * @returns {String|undefined} the long name of the documented symbol, if one was found
+     * @private
+     */
+    static #resolveImport(modulePath, name) {
+        const specifier = modulePath.slice(1, -1);
+        const [importer] = PublishUtils.#importers.slice(-1);
+        
+        // Packages can only be matched by their module name, as there's no file to look in
+        if (!specifier.startsWith(".") && !path.isAbsolute(specifier)) {
+            const candidates = (!name ? [`module:${specifier}`] : [".", "~", "#"].map((punc) => `module:${specifier}${punc}${name}`));
+            
+            return candidates.find((longname) => !!helper.longnameToUrl[longname]);
+        }
+        
+        // Relative paths can't be resolved without knowing which file the type was written in
+        if (!importer) return undefined;
+        
+        const symbols = (PublishUtils.#importable.get(PublishUtils.#importKey(path.resolve(importer, specifier))) ?? [])
+            .filter(({longname, undocumented}) => !undocumented && !!helper.longnameToUrl[longname]);
+        const module = symbols.find(({kind}) => kind === "module");
+        
+        if (!name) return module?.longname;
+        
+        // Only link to a symbol of the imported file if it is the only one with that name, or the only one the module itself exports
+        const named = symbols.filter((doclet) => doclet.name === name);
+        const [match, ...others] = (named.length > 1 && module ? named.filter(({memberof}) => memberof === module.longname) : named);
+        
+        return (!others.length ? match?.longname : undefined);
+    }
+    
+    /**
+     * Render a parsed type as HTML, where every named type gets its own link
+     * @param {TypeNode} node - the parsed type to render
+     * @param {Object} [options] - options that control how the type is rendered
+     * @param {Boolean} [options.stripPromise=false] - whether Promise types should be rendered as the type they resolve to
+     * @returns {String} the HTML representation of the type
+     */
+    static renderType(node, {stripPromise = false} = {}) {
+        const render = (node) => PublishUtils.renderType(node, {stripPromise});
+        // Compound types need to be grouped when they are used as array elements, or operated on
+        const group = (node, kinds = ["union", "function", "arrow", "operator"]) => (kinds.includes(node.kind) ? `(${render(node)})` : render(node));
+        let html;
+        
+        switch (node.kind) {
+            case "name": {
+                const link = helper.linkto(node.name, helper.htmlsafe(node.name));
+                
+                // Only show the inner part of the names of linked inner members
+                html = (!node.name.includes("~") || !link.startsWith("<a") ? link : link.replace(/>[^<]*?~/, ">~"));
+                break;
+            }
+            
+            case "literal":
+                html = helper.htmlsafe(node.name);
+                break;
+            
+            case "import": {
+                const text = helper.htmlsafe(`import(${node.path})${node.name ? `.${node.name}` : ""}`);
+                const longname = PublishUtils.#resolveImport(node.path, node.name);
+                
+                html = (!longname ? text : helper.linkto(longname, text));
+                break;
+            }
+            
+            case "operator":
+                html = `${node.operator} ${group(node.type, ["union", "function", "arrow"])}`;
+                break;
+            
+            case "union":
+                html = node.types.map((type) => group(type, ["arrow"])).join("|");
+                break;
+            
+            case "array":
+                html = `${group(node.element)}[]`;
+                break;
+            
+            case "indexed":
+                html = `${group(node.object)}[${render(node.index)}]`;
+                break;
+            
+            case "tuple":
+                html = `[${node.types.map(render).join(", ")}]`;
+                break;
+            
+            case "record":
+                html = `{${PublishUtils.#formatMembers(node, render, helper.htmlsafe)}}`;
+                break;
+            
+            case "arrow":
+                html = `${node.instantiable ? "new " : ""}(${PublishUtils.#formatMembers(node, render, helper.htmlsafe)}) =&gt; ${render(node.returns)}`;
+                break;
+            
+            case "function": {
+                const params = node.params.map((param) => (param.label ? `${param.label}:` : "") + render(param)).join(", ");
+                
+                html = `function(${params})${node.returns ? `: ${render(node.returns)}` : ""}`;
+                break;
+            }
+            
+            case "generic":
+                // Arrays are shown in their shorter form, and Promises may be shown as the type they resolve to
+                if (node.base.kind === "name" && node.base.name === "Array" && node.types.length === 1) html = `${group(node.types[0])}[]`;
+                else if (stripPromise && PublishUtils.#isPromise(node)) html = render(node.types[0]);
+                else html = `${render(node.base)}&lt;${node.types.map(render).join(", ")}&gt;`;
+                break;
+        }
+        
+        return PublishUtils.#modify(node, html);
+    }
+    
+    /**
+     * Turn a parsed type back into a type expression, in the same format JSDoc uses for a doclet's type names
+     * @param {TypeNode} node - the parsed type to stringify
+     * @param {Boolean} [nested=false] - whether the type is part of another type, and unions should be grouped
+     * @returns {String} the type expression representing the parsed type
+     */
+    static stringifyType(node, nested = false) {
+        const stringify = (node) => PublishUtils.stringifyType(node, true);
+        let value;
+        
+        switch (node.kind) {
+            case "name":
+            case "literal":
+                value = node.name;
+                break;
+            
+            case "import":
+                value = `import(${node.path})${node.name ? `.${node.name}` : ""}`;
+                break;
+            
+            case "operator":
+                value = `${node.operator} ${stringify(node.type)}`;
+                break;
+            
+            case "union":
+                value = node.types.map(stringify).join("|");
+                if (nested) value = `(${value})`;
+                break;
+            
+            case "array":
+                value = `Array.<${stringify(node.element)}>`;
+                break;
+            
+            case "indexed":
+                value = `${["operator", "arrow"].includes(node.object.kind) ? `(${stringify(node.object)})` : stringify(node.object)}[${stringify(node.index)}]`;
+                break;
+            
+            case "tuple":
+                value = `[${node.types.map(stringify).join(", ")}]`;
+                break;
+            
+            case "record":
+                value = `{${PublishUtils.#formatMembers(node, stringify)}}`;
+                break;
+            
+            case "arrow":
+                value = `${node.instantiable ? "new " : ""}(${PublishUtils.#formatMembers(node, stringify)}) => ${stringify(node.returns)}`;
+                if (nested) value = `(${value})`;
+                break;
+            
+            case "function":
+                value = `function(${node.params.map((param) => (param.label ? `${param.label}:` : "") + stringify(param)).join(", ")})`
+                    + (node.returns ? `: ${stringify(node.returns)}` : "");
+                break;
+            
+            case "generic":
+                value = `${stringify(node.base)}.<${node.types.map(stringify).join(", ")}>`;
+                break;
+        }
+        
+        return PublishUtils.#modify(node, value);
+    }
+    
+    /**
+     * Split a type expression into the name of the type, and any type arguments applied to it
+     * @param {String} expression - the type expression to split (e.g. "Map.<String, Number>")
+     * @returns {[String, String[]]} the name of the type, and type expressions for each of its type arguments
+     */
+    static splitTypeArguments(expression) {
+        try {
+            const node = PublishUtils.parseType(expression);
+            
+            if (node.kind === "generic") {
+                return [PublishUtils.stringifyType(node.base), node.types.map((type) => PublishUtils.stringifyType(type))];
+            }
+        } catch (ex) {
+            // Not a valid type expression, so treat the whole thing as a name
+        }
+        
+        return [expression, []];
+    }
+    
+    /**
+     * Replace type parameter names anywhere in a type expression with their actual types, and split it into the members of any union
+     * @param {String} expression - the type expression to resolve type parameters in
+     * @param {Map<String, String>} [typeValues] - actual type expressions to use in place of each type parameter name
+     * @param {Object} [options] - options that control how the type is resolved
+     * @param {Boolean} [options.stripPromise=false] - whether Promise types should be replaced by the type they resolve to
+     * @returns {String[]} type expressions for each member of the resolved type
+     */
+    static resolveTypeNames(expression, typeValues = new Map(), {stripPromise = false} = {}) {
+        // Go through every node in the tree, including record fields and arrow function parameters, replacing any type parameter names
+        const resolve = (value) => {
+            if (value?.kind === "name" && typeValues.get(value.name) !== undefined) {
+                const {kind, name, ...modifiers} = value;
+                
+                return Object.assign(PublishUtils.parseType(typeValues.get(name)), modifiers);
+            }
+            
+            if (Array.isArray(value)) return value.map(resolve);
+            if (value?.constructor === Object) return Object.fromEntries(Object.entries(value).map(([key, value]) => [key, resolve(value)]));
+            
+            return value;
+        };
+        
+        try {
+            let node = resolve(PublishUtils.parseType(expression));
+            
+            // Optionally unwrap promises to the type they resolve to
+            if (stripPromise && PublishUtils.#isPromise(node)) node = node.types[0];
+            
+            return (node.kind === "union" ? node.types.flatMap((type) => (type.kind === "union" ? type.types : [type])) : [node])
+                .map((type) => PublishUtils.stringifyType(type));
+        } catch (ex) {
+            // Not a valid type expression, so only replace it if it is a type parameter name
+            return [typeValues.get(expression) ?? expression];
+        }
+    }
+    
+    /**
+     * Render a type expression as HTML, where every named type gets its own link
+     * @param {String} name - the type expression to render
+     * @param {Object} [options] - options that control how the type is rendered, defaulting to classy template config
+     * @param {Boolean} [options.stripPromise=false] - whether Promise types should be rendered as the type they resolve to
+     * @returns {String} the HTML representation of the type, or a link to the value if it isn't a type expression
+     */
+    static typeString(name, {stripPromise} = env.conf?.templates?.classy ?? {}) {
+        try {
+            return PublishUtils.renderType(PublishUtils.parseType(name), {stripPromise});
+        } catch (ex) {
+            // Not every value is a type expression, so just link to it as-is
+            return helper.linkto(name, helper.htmlsafe(name));
+        }
     }
     
     /**
@@ -295,7 +1551,99 @@ class PublishUtils {
      * @returns {String} the standardised version of each type string for the given doclet
      */
     static typeStrings({type}) {
-        return (type?.names || []).map(name => PublishUtils.typeString(helper.linkto(name, helper.htmlsafe(name)))).join(", ");
+        return (type?.names || []).map(name => PublishUtils.typeString(name)).join(", ");
+    }
+    
+    /**
+     * Generate the render-safe list of type parameters, with any constraints and defaults, to include in a doclet's signature
+     * @param {Map<String, Object>} [templates] - type parameters collected from the doclet's "template" tags, keyed by name
+     * @returns {String} the type parameters wrapped in angle brackets, or an empty string if there are none
+     */
+    static templatesString(templates) {
+        const params = Array.from(templates?.values() ?? [], ({name, type, defaultvalue}) => name
+            + (type?.names?.length ? ` extends ${type.names.map(name => PublishUtils.typeString(name)).join("|")}` : "")
+            + (defaultvalue !== undefined ? ` = ${PublishUtils.typeString(String(defaultvalue))}` : ""));
+        
+        return params.length ? `<span class="type-signature templates">&lt;${params.join(", ")}&gt;</span>` : "";
+    }
+    
+    /**
+     * Draw an inline SVG diagram of the augments, implements, and mixes relationships between a set of container doclets
+     * @param {ClassyDoclet[]} doclets - classes, interfaces, and mixins to include in the diagram
+     * @param {String} [current] - longname of the doclet whose page the diagram is shown on, which will be highlighted
+     * @returns {String} the SVG markup for the diagram, with each node linking to the page of its doclet
+     */
+    static renderHierarchy(doclets, current) {
+        const [charWidth, padding, height, gapX, gapY, margin] = [7.2, 10, 26, 16, 40, 2];
+        const attr = (value) => helper.htmlsafe(String(value)).replace(/"/g, "&quot;");
+        const nodes = new Map(doclets.map((doclet) => [doclet.longname, {
+            doclet, parents: [], level: 0, x: 0, y: 0,
+            width: Math.ceil(doclet.name.length * charWidth) + padding * 2
+        }]));
+        const edges = [];
+        
+        // Establish which nodes in the diagram each node inherits from
+        for (let node of nodes.values()) for (let relation of ["augments", "implements", "mixes"]) for (let target of node.doclet[relation] ?? []) {
+            const parent = nodes.get(PublishUtils.splitTypeArguments(target)[0]);
+            
+            if (!!parent && parent !== node && !node.parents.includes(parent)) {
+                node.parents.push(parent);
+                edges.push({node, parent, relation});
+            }
+        }
+        
+        // Place each node one level below its lowest parent, giving up after enough passes in case of circular inheritance
+        for (let pass = 0, changed = true; changed && pass < nodes.size; pass++) {
+            changed = false;
+            
+            for (let node of nodes.values()) {
+                const level = Math.max(0, ...node.parents.map(({level}) => level + 1));
+                if (level !== node.level) [node.level, changed] = [level, true];
+            }
+        }
+        
+        // Group nodes into rows by level, and work out how wide the widest row is
+        const rows = [...nodes.values()].reduce((rows, node) => ((rows[node.level] = rows[node.level] ?? []).push(node), rows), []).filter(Boolean);
+        const rowWidth = (row) => row.reduce((width, node) => width + node.width, 0) + gapX * (row.length - 1);
+        const width = Math.max(...rows.map(rowWidth)) + margin * 2;
+        
+        for (let [index, row] of rows.entries()) {
+            // Order nodes by the average position of their parents, so edges cross less often
+            const centre = ({parents}) => (parents.length ? parents.reduce((sum, {x, width}) => sum + x + width / 2, 0) / parents.length : 0);
+            if (index > 0) row.sort((a, b) => centre(a) - centre(b));
+            
+            // Then centre the row horizontally
+            let x = margin + (width - margin * 2 - rowWidth(row)) / 2;
+            for (let node of row) [node.x, node.y, x] = [x, margin + index * (height + gapY), x + node.width + gapX];
+        }
+        
+        // Draw an edge from the top of each node to the bottom of its parent, ending in a hollow arrowhead
+        const lines = edges.map(({node, parent, relation}) => {
+            const [x1, y1, x2, y2] = [node.x + node.width / 2, node.y, parent.x + parent.width / 2, parent.y + height];
+            const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+            const [ux, uy] = [(x2 - x1) / length, (y2 - y1) / length];
+            const [bx, by] = [x2 - ux * 10, y2 - uy * 10];
+            const points = [[x2, y2], [bx - uy * 5, by + ux * 5], [bx + uy * 5, by - ux * 5]].map((point) => point.map((n) => Math.round(n)).join(",")).join(" ");
+            
+            return `<g class="edge ${relation}"><title>${attr(`${node.doclet.longname} ${relation} ${parent.doclet.longname}`)}</title>`
+                + `<line x1="${Math.round(x1)}" y1="${Math.round(y1)}" x2="${Math.round(bx)}" y2="${Math.round(by)}"/><polygon points="${points}"/></g>`;
+        });
+        
+        // Draw each node as a labelled box, linking to its page if it has one
+        const boxes = [...nodes.values()].map(({doclet: {kind, name, longname}, x, y, width}) => {
+            const url = helper.longnameToUrl[longname];
+            const box = `<title>${attr(`${DocletPage.titles[kind] ?? kind}: ${longname}`)}</title>`
+                + `<rect x="${Math.round(x)}" y="${Math.round(y)}" width="${width}" height="${height}" rx="4"/>`
+                + `<text x="${Math.round(x + width / 2)}" y="${Math.round(y + height / 2)}">${helper.htmlsafe(name)}</text>`;
+            const classes = ["node", kind, ...(longname === current ? ["current"] : [])].join(" ");
+            
+            return (!url || longname === current ? `<g class="${classes}">${box}</g>` : `<a class="${classes}" href="${attr(url)}">${box}</a>`);
+        });
+        
+        const size = [width, Math.round(rows.length * (height + gapY) - gapY + margin * 2)];
+        
+        return `<svg class="hierarchy-diagram" xmlns="http://www.w3.org/2000/svg" width="${size[0]}" height="${size[1]}" viewBox="0 0 ${size.join(" ")}" role="img" aria-label="Inheritance diagram">`
+            + `<g class="edges">${lines.join("")}</g><g class="nodes">${boxes.join("")}</g></svg>`;
     }
     
     /**
@@ -313,8 +1661,9 @@ class PublishUtils {
      * @param {Salty} data - constructed and filtered dataset of JSDoc doclets
      * @param {Tutorial[]} tutorials - tutorials to include in the main navigation menu of a page
      * @param {String} [apiEntry] - class or namespace to treat as the entrypoint when generating structured navigation for a page
+     * @param {Array<{name: String, link: String}>} [pages=[]] - other generated pages, like the coverage page, to add menu entries for
      */
-    static buildBoilerplateNav(template, data, tutorials, apiEntry = "") {
+    static buildBoilerplateNav(template, data, tutorials, apiEntry = "", pages = []) {
         const scopes = ["Modules", "Namespaces", "Classes", "Interfaces", "Events", "Mixins", "Externals"];
         const {globals, ...members} = helper.getMembers(data);
         const nav = [];
@@ -333,8 +1682,8 @@ class PublishUtils {
         if (globals.length) {
             let globalNav = "";
             
-            for (let {kind, longname, name} of globals) {
-                globalNav += ((String(kind) !== "typedef" && !seen[longname]) ? `<li>${helper.linkto(longname, name)}</li>` : "");
+            for (let {kind, longname, name, deprecated} of globals) {
+                globalNav += ((String(kind) !== "typedef" && !seen[longname]) ? `<li${deprecated ? ` class="deprecated"` : ""}>${helper.linkto(longname, name)}</li>` : "");
                 seen[longname] = true;
             }
             
@@ -342,6 +1691,9 @@ class PublishUtils {
             nav.push(!globalNav ? `<h3>${helper.linkto("global", "Global")}</h3>` : `<h3>Globals</h3><ul>${globalNav}</ul>`);
         }
         
+        // Add menu entries for any other generated pages
+        for (let {name, link} of pages) nav.push(`<h3><a href="${encodeURI(link)}">${helper.htmlsafe(name)}</a></h3>`);
+        
         // Assign!
         template.boilerplateNav = nav.join("");
     }
@@ -375,11 +1727,11 @@ class PublishUtils {
         else {
             for (let item of items) {
                 if (!(seen[item.longname])) {
-                    const title = helper.linkto(item.longname, item.name.replace(/\b(module|event):/g, ''));
+                    const title = helper.linkto(item.longname, item.name.replace(/\b(module|event):/g, '')) + PublishUtils.versionBadge(item);
                     const children = PublishUtils.buildStructuredNav(data, data({memberof: item.longname, kind: DocletPage.classlike}).get(), seen, depth + 1);
                     const heading = ((depth < 5 || children.length) ? `<h${depth}>${title}</h${depth}>` : title);
                     
-                    listContent += `<li>${children.length ? `<details><summary>${heading}</summary>${children}</details>` : `${heading}${children}`}</li>`;
+                    listContent += `<li${item.deprecated ? ` class="deprecated"` : ""}>${children.length ? `<details><summary>${heading}</summary>${children}</details>` : `${heading}${children}`}</li>`;
                     seen[item.longname] = true;
                 }
             }
@@ -406,7 +1758,7 @@ class PublishUtils {
                 const displayName = env.conf.templates.default.useLongnameInNav ? item.longname : item.name;
                 
                 seen[item.longname] = true;
-                nav += `<li>${linktoFn(item.longname, displayName.replace(/\b(module|event):/g, ''))}</li>`;
+                nav += `<li${item.deprecated ? ` class="deprecated"` : ""}>${linktoFn(item.longname, displayName.replace(/\b(module|event):/g, '')) + PublishUtils.versionBadge(item)}</li>`;
             }
         }
         
@@ -428,7 +1780,7 @@ class PublishUtils {
      * @returns {TOCHeading[]} a list of items describing the table of contents menu of a page
      */
     static getTocStructure(page) {
-        const {kind, description, doclets, examples, params, properties} = page;
+        const {kind, description, doclets, examples, templates, params, properties, inheritedMembers} = page;
         
         // Get titles in description from heading elements with "id" attribute
         const targets = [...JSDOM.fragment(description).querySelectorAll(`[id]`)]
@@ -465,6 +1817,38 @@ class PublishUtils {
             return titles;
         }, []);
         
+        // Coverage pages always have the same sections
+        if (kind === "coverage") return [
+            {id: "summary", name: "Summary", section: true},
+            {id: "files", name: "Files", section: true},
+            {id: "containers", name: "Containers", section: true},
+            ...(page.coverage?.symbols?.length ? [{id: "missing", name: "Missing Documentation", section: true}] : [])
+        ];
+        
+        // Source pages outline the symbols declared in them, nested under their containers, linking to the lines they span
+        if (kind === "source") {
+            const [{symbols = []} = {}] = doclets.source ?? [];
+            const entries = new Map(symbols.map(({longname, name, line, end}) => [longname, {id: (line === end ? `L${line}` : `L${line}-L${end}`), name, children: []}]));
+            
+            return symbols.filter(({memberof, longname}) => {
+                if (entries.has(memberof)) entries.get(memberof).children.push(entries.get(longname));
+                return !entries.has(memberof);
+            }).map(({longname}) => ({...entries.get(longname), section: true}));
+        }
+        
+        // Deprecated and to-do pages have a section for each container
+        if (["deprecated", "todo"].includes(kind)) return page.annotations.map(({id, longname}) => ({id, name: (!longname ? "Top Level" : (longname === "global" ? "Globals" : longname)), section: true}));
+        
+        // Changes pages have a section for each version
+        if (kind === "changes") return page.changes.map(({id, version, current}) => ({id, name: `${version}${current ? " (Current)" : ""}`, section: true}));
+        
+        // Hierarchy pages have a section for the diagram, if anything is related, and for each kind of container
+        if (kind === "hierarchy") return [
+            ...(page.hierarchy.diagram.length ? [{id: "diagram", name: "Diagram", section: true}] : []),
+            ...["class", "interface", "mixin"].filter((kind) => page.hierarchy[kind].length)
+                .map((kind) => ({id: PublishUtils.pluralise(kind), name: PublishUtils.pluralise(DocletPage.titles[kind]), section: true}))
+        ];
+        
         // Start by assuming headings may just come from titles or be empty
         const headings = (!DocletPage.classlike.includes(kind) ? (["globalobj"].includes(kind) ? [] : titles) : ( 
             // If headings weren't sourced from titles in the description, add a few basic entries
@@ -476,11 +1860,14 @@ class PublishUtils {
                     id: "usage", name: "Usage", section: true,
                     children: [
                         {id: "details", name: "Details"},
+                        ...(templates?.size ? [{id: "templates", name: "Type Parameters"}] : []),
                         ...(params?.length ? [{id: "params", name: "Parameters"}] : []),
                         ...(properties?.length ? [{id: "properties", name: "Properties"}] : []),
                         ...(examples?.length ? [{id: "examples", name: "Examples"}] : [])
                     ]
-                }
+                },
+                // Add "Hierarchy" heading if there's an inheritance diagram
+                ...(page.hierarchy?.length ? [{id: "hierarchy", name: "Hierarchy", section: true}] : [])
             ]
         ));
         
@@ -491,12 +1878,20 @@ class PublishUtils {
             const name = PublishUtils.pluralise(DocletPage.titles[kind]);
             // Only add child entries for member sections
             const children = !DocletPage.members.includes(kind) ? [] : doclets[kind]
-                .map(({id, name, attribs}) => ({id, name: `${kind === "constant" ? "" : attribs}${name}`}));
+                .map(({id, name, attribs, overloads = []}) => ({id, name: `${kind === "constant" ? "" : attribs}${name}`,
+                    // Add entries for each overload, with the names of their parameters
+                    children: overloads.map(({id, params = []}) => ({id, name: `${name}(${params.map(({name}) => name).filter((name) => !!name && !name.includes(".")).join(", ")})`}))}));
             
             // Add the heading!
             headings.push({id, name, children, section: true});
         }
         
+        // Add a heading for inherited members, with entries for each ancestor
+        if (inheritedMembers?.length) {
+            headings.push({id: "inherited", name: "Inherited Members", section: true,
+                children: inheritedMembers.map(({id, ancestor}) => ({id, name: ancestor.longname}))});
+        }
+        
         return headings;
     }
     
@@ -506,56 +1901,187 @@ class PublishUtils {
      * @param {Boolean} [inline=false] - whether list items should be indented in the menu
      * @returns {String} the HTML list of links for the table of contents of a page, with headings
      */
-    static buildTocNav(items = [], inline = false) {
-        let listContent = "";
+    static buildTocNav(items = [], inline = false) {
+        let listContent = "";
+        
+        for (let item of items) {
+            // Build a list of links for each child, as well as their children
+            const title = (!!item.id ? `<a href="#${item.id}">${item.name}</a>` : item.name);
+            const siblings = PublishUtils.buildTocNav(item.siblings, true);
+            const children = PublishUtils.buildTocNav(item.children);
+            
+            listContent += `<li>${(item.section ? `<h5 class="toc-section">${title}</h5>` : title) + siblings + children}</li>`;
+        }
+        
+        return listContent.length ? `<ul${inline ? ` class="no-indent"` : ""}>${listContent}</ul>` : "";
+    }
+    
+    /**
+     * Extended details about a hosted git repository from package.json
+     * @typedef {Object} PackageRepositoryData
+     * @property {String} type - repository version control provider type
+     * @property {String} url - location of the repository hosted by a version control provider
+     */
+    
+    /**
+     * Get details of a package's repository located on a hosted git provider
+     * @param {String} packagePath - path to the repository's main package.json file
+     * @param {String|PackageRepositoryData} repository - location or details of the repository on a hosted git provider
+     * @param {GitHostDefinition[]} [customHosts] - user-specified git host definitions, checked before the built-in ones
+     * @param {String} [sourceRef="commit"] - whether to link to the current "commit", a "tag" matching the package version, or an explicit ref
+     * @param {String} [version] - version of the package, used to find a matching tag
+     * @returns {HostedGitData} configuration details for a given hosted git provider
+     */
+    static getRepository(packagePath, repository, customHosts, sourceRef = "commit", version) {
+        // Break if package.json or repository are undefined
+        if (!repository || !packagePath) return {};
+        
+        // Find the git directory of the repository the specified package.json belongs to
+        const {root, gitDir} = PublishUtils.getGitDirectory(path.dirname(path.resolve(env.pwd, packagePath))) ?? {};
+        // Explicit refs are linked to as-is, and don't need a git directory
+        let commitish = (!["commit", "tag"].includes(sourceRef) ? String(sourceRef) : undefined);
+        
+        // Only continue if git dir exists
+        if (!!gitDir && !commitish) {
+            try {
+                if (sourceRef === "tag") {
+                    // Look for a tag matching the package version, with or without a "v" prefix
+                    commitish = [`v${version}`, `${version}`].find((tag) => !!version && !!PublishUtils.resolveGitRef(gitDir, `refs/tags/${tag}`));
+                    if (!commitish) logger.warn(`No git tag found for version "${version}", linking to source files at the current commit instead`);
+                }
+                
+                // Get the current HEAD commit, which may be detached or a branch name that needs resolving
+                commitish = commitish ?? PublishUtils.resolveGitRef(gitDir, "HEAD");
+            } catch (ex) {
+                // Do nothing, repository can't be resolved
+            }
+        }
+        
+        const hosted = PublishUtils.resolveGitHost(repository, commitish, customHosts);
+        
+        return !hosted ? {} : {...hosted, ...(!!root ? {root} : {})};
+    }
+    
+    /**
+     * Find the root of the git repository containing a given directory, and the git directory holding its refs
+     * @param {String} startPath - directory to start looking for a ".git" folder or file in, before checking each parent
+     * @returns {{root: String, gitDir: String}|undefined} paths to the repository's working tree and git directory, if found
+     */
+    static getGitDirectory(startPath) {
+        for (let dir = startPath; ; dir = path.dirname(dir)) {
+            const dotGit = path.join(dir, ".git");
+            
+            if (fs.existsSync(dotGit)) {
+                // Worktrees and submodules have a ".git" file pointing to the real git directory instead of a folder
+                if (fs.statSync(dotGit).isFile()) {
+                    const [, gitDir] = fs.readFileSync(dotGit, "utf8").match(/^gitdir:\s*(.+)$/m) ?? [];
+                    
+                    return !gitDir ? undefined : {root: dir, gitDir: path.resolve(dir, gitDir.trim())};
+                }
+                
+                return {root: dir, gitDir: dotGit};
+            }
+            
+            // Stop at the filesystem root
+            if (path.dirname(dir) === dir) return;
+        }
+    }
+    
+    /**
+     * Resolve a git ref to the commit hash or object it points to, following symbolic refs and checking packed refs
+     * @param {String} gitDir - path to the git directory of the repository
+     * @param {String} ref - name of the ref to resolve (e.g. "HEAD", or "refs/heads/main")
+     * @param {Number} [depth=0] - how many symbolic refs have already been followed, to avoid following cycles
+     * @returns {String|undefined} the hash the ref points to, if it could be resolved
+     */
+    static resolveGitRef(gitDir, ref, depth = 0) {
+        // Worktrees only keep HEAD and some refs themselves, everything else is in the common git directory
+        const commonFile = path.join(gitDir, "commondir");
+        const commonDir = (fs.existsSync(commonFile) ? path.resolve(gitDir, fs.readFileSync(commonFile, "utf8").trim()) : gitDir);
         
-        for (let item of items) {
-            // Build a list of links for each child, as well as their children
-            const title = (!!item.id ? `<a href="#${item.id}">${item.name}</a>` : item.name);
-            const siblings = PublishUtils.buildTocNav(item.siblings, true);
-            const children = PublishUtils.buildTocNav(item.children);
+        if (depth > 5) return;
+        
+        // Check for a loose ref file first, as these take precedence over packed refs
+        for (let dir of new Set([gitDir, commonDir])) {
+            const refFile = path.join(dir, ref);
             
-            listContent += `<li>${(item.section ? `<h5 class="toc-section">${title}</h5>` : title) + siblings + children}</li>`;
+            if (fs.existsSync(refFile) && fs.statSync(refFile).isFile()) {
+                const value = fs.readFileSync(refFile, "utf8").trim();
+                
+                // It's either a commit, or a symbolic ref that needs resolving to a commit
+                return (!value.startsWith("ref: ") ? value : PublishUtils.resolveGitRef(gitDir, value.replace("ref: ", ""), depth + 1));
+            }
         }
         
-        return listContent.length ? `<ul${inline ? ` class="no-indent"` : ""}>${listContent}</ul>` : "";
+        // Otherwise, look for the ref in the packed refs file
+        const packedFile = path.join(commonDir, "packed-refs");
+        
+        if (fs.existsSync(packedFile)) {
+            for (let line of fs.readFileSync(packedFile, "utf8").split(/\r?\n/)) {
+                const [hash, name] = line.trim().split(" ");
+                
+                if (name === ref) return hash;
+            }
+        }
     }
     
     /**
-     * Extended details about a hosted git repository from package.json
-     * @typedef {Object} PackageRepositoryData
-     * @property {String} type - repository version control provider type
-     * @property {String} url - location of the repository hosted by a version control provider
+     * Details about the commit that last changed a line of a source file
+     * @typedef {Object} GitCommitData
+     * @property {String} hash - the full hash of the commit
+     * @property {String} author - the name of the commit's author
+     * @property {Number} time - when the commit was authored, in seconds since the Unix epoch
+     * @property {Boolean} [hosted] - whether the commit belongs to the repository that source files are linked to on the git host
      */
     
     /**
-     * Get details of a package's repository located on a hosted git provider
-     * @param {String} packagePath - path to the repository's main package.json file
-     * @param {String|PackageRepositoryData} repository - location or details of the repository on a hosted git provider
-     * @returns {HostedGitData} configuration details for a given hosted git provider
+     * Whether the local git binary could not be run, so blame isn't attempted again for every other source file
+     * @type {Boolean}
+     * @private
      */
-    static getRepository(packagePath, repository) {
-        // Break if package.json or repository are undefined
-        if (!repository || !packagePath) return {};
+    static #gitUnavailable = false;
+    
+    /**
+     * Find out which commit last changed each line of a source file, using the local git binary
+     * @param {String} root - path to the root of the git repository's working tree
+     * @param {String} file - path to the source file to get blame details of
+     * @returns {GitCommitData[]|undefined} details of the last commit to change each line, indexed by line number, if available
+     */
+    static getGitBlame(root, file) {
+        if (PublishUtils.#gitUnavailable) return;
         
-        // Only look for .git folders next to specified package.json
-        const gitDir = path.join(path.dirname(path.resolve(env.pwd, packagePath)), ".git");
+        let output;
         
-        // Only continue if git dir exists
-        if (fs.existsSync(gitDir)) {
-            try {
-                // Get the current HEAD ref, which may be a commit or a branch name
-                const ref = fs.readFileSync(path.join(gitDir, "HEAD"), "utf8").trim();
-                // It's either a commit, or a branch ref that needs resolving to a commit 
-                const commitish = (!ref.startsWith("ref: ") ? ref : fs.readFileSync(path.join(gitDir, ref.replace("ref: ", "")), "utf8").trim());
-                
-                return PublishUtils.resolveGitHost(repository, commitish) ?? {};
-            } catch (ex) {
-                // Do nothing, repository can't be resolved
+        try {
+            output = execFileSync("git", ["blame", "--porcelain", "--", path.relative(root, file)], {
+                cwd: root, encoding: "utf8", maxBuffer: 64 * 1024 * 1024, stdio: ["ignore", "pipe", "ignore"]
+            });
+        } catch (ex) {
+            // Git not being installed is worth mentioning once, files that aren't tracked aren't
+            if (ex.code === "ENOENT") {
+                PublishUtils.#gitUnavailable = true;
+                logger.warn("Unable to run git, so details of when symbols were last changed won't be shown");
             }
+            
+            return;
+        }
+        
+        const commits = new Map();
+        const lines = [];
+        let commit, line;
+        
+        // Each line starts with a header naming its commit, followed by details of the commit the first time it appears
+        for (let row of output.split("\n")) {
+            const [, hash, number] = /^([\da-f]{40}) \d+ (\d+)/.exec(row) ?? [];
+            
+            if (row.startsWith("\t")) lines[line] = commit;
+            else if (!!hash) [commit, line] = [commits.get(hash) ?? commits.set(hash, {hash}).get(hash), Number(number)];
+            else if (row.startsWith("author ")) commit.author = row.slice(7);
+            else if (row.startsWith("author-time ")) commit.time = Number(row.slice(12));
         }
         
-        return PublishUtils.resolveGitHost(repository) ?? {};
+        // Lines that haven't been committed yet don't have anything worth showing
+        return lines.map((commit) => (/^0+$/.test(commit?.hash) ? undefined : commit));
     }
     
     /**
@@ -563,70 +2089,240 @@ class PublishUtils {
      * @typedef {Object} HostedGitData
      * @property {String} [name] - hosted git provider name (e.g. GitHub, Bitbucket, GitLab, etc.)
      * @property {String} [link] - location of the main page of the repository on the hosted git provider
-     * @property {String} [image] - name of the default file to use in the repository link in the page header
-     * @property {String} [path] - URL to use as base path for source file links on the hosted git provider
+     * @property {String} [image] - name of the file to use in the repository link in the page header
+     * @property {String} [imagePath] - path to a user-specified image file to copy to the output, instead of one of the template's assets
+     * @property {String|Boolean} [path] - URL of source files on the hosted git provider, with a "{file}" placeholder for the file path
      * @property {String} [line] - format of suffix used by hosted git provider to link directly to specific lines in a source file
+     * @property {String} [range] - format of suffix used by hosted git provider to link directly to a range of lines in a source file
+     * @property {String} [history] - URL of the commit history of source files on the hosted git provider, with a "{file}" placeholder for the file path
+     * @property {String} [blame] - URL of the blame view of source files on the hosted git provider, with "{file}" and "{line}" placeholders
+     * @property {String} [commit] - URL of a commit on the hosted git provider, with a "{commit}" placeholder for the commit hash
+     * @property {String} [root] - path to the root of the repository's working tree, which source file links are relative to
      */
     
     /**
-     * Function to resolve details about config and source files located on a hosted git provider
-     * @callback HostedGitDataResolver
-     * @param {String} path - user/organisation and repository name used to locate the repository on the hosted git provider
-     * @param {String} commitish - a commit hash or similar string that identifies exactly what version of a source file should be linked to
-     * @returns {HostedGitData} configuration details for a given hosted git provider
+     * Definition of how to link to repositories and source files on a git host, where URL formats can include
+     * "{host}", "{path}", "{commit}", "{file}", "{line}", and "{end}" placeholders
+     * @typedef {Object} GitHostDefinition
+     * @property {String} name - hosted git provider name, shown when hovering over the repository link in the page header
+     * @property {RegExp} pattern - expression that the hostname of a repository must match for the definition to be used
+     * @property {String} link - format of the URL of the main page of a repository
+     * @property {String} blob - format of the URL of a source file at a specific commit
+     * @property {String} line - format of the suffix appended to a source file URL to link directly to a specific line
+     * @property {String} [range] - format of the suffix appended to a source file URL to link directly to a range of lines
+     * @property {String} [history] - format of the URL of the commit history of a source file
+     * @property {String} [blame] - format of the URL of the blame view of a source file
+     * @property {String} [commit] - format of the URL of a specific commit
+     * @property {String} image - name of the file in the template's assets folder to use in the repository link in the page header
+     * @property {String} [hostname] - hostname to use when a repository is specified in short form (e.g. "gitlab:user/repo")
      */
     
     /**
-     * Methods to map common Git hosts to their source file path link format and line tag prefix
-     * @type {Object}
-     * @property {HostedGitDataResolver} github - method used to resolve details of a repository hosted on GitHub
-     * @property {HostedGitDataResolver} bitbucket - method used to resolve details of a repository hosted on Bitbucket
-     * @property {HostedGitDataResolver} gitlab - method used to resolve details of a repository hosted on GitLab
+     * Definitions of common git hosts, mapping them to their repository, source file, and line link formats
+     * @type {Object.<string, GitHostDefinition>}
      * @private
      */
     static #gitHosts = {
-        github: (path, commitish) => ({
-            name: "GitHub", link: `https://github.com/${path}`, image: "github.png",
-            path: !!commitish && `https://github.com/${path}/blob/${commitish}/`, line: "L"
-        }),
-        bitbucket: (path, commitish) => ({
-            name: "Bitbucket", link: `https://bitbucket.org/${path}`, image: "bitbucket.svg",
-            path: !!commitish && `https://bitbucket.org/${path}/src/${commitish}/`, line: "line-"
-        }),
-        gitlab: (path, commitish) => ({
-            name: "GitLab", link: `https://gitlab.com/${path}`, image: "gitlab.svg",
-            path: !!commitish && `https://gitlab.com/${path}/blob/${commitish}/`, line: "L"
-        })
+        github: {
+            name: "GitHub", pattern: /(?:^|\.)github\./, hostname: "github.com", image: "github.png",
+            link: "https://{host}/{path}", blob: "https://{host}/{path}/blob/{commit}/{file}", line: "#L{line}", range: "#L{line}-L{end}",
+            history: "https://{host}/{path}/commits/{commit}/{file}", blame: "https://{host}/{path}/blame/{commit}/{file}#L{line}",
+            commit: "https://{host}/{path}/commit/{commit}"
+        },
+        bitbucket: {
+            name: "Bitbucket", pattern: /(?:^|\.)bitbucket\.org$/, hostname: "bitbucket.org", image: "bitbucket.svg",
+            link: "https://{host}/{path}", blob: "https://{host}/{path}/src/{commit}/{file}", line: "#line-{line}", range: "#lines-{line}:{end}",
+            history: "https://{host}/{path}/history-node/{commit}/{file}", blame: "https://{host}/{path}/annotate/{commit}/{file}#lines-{line}",
+            commit: "https://{host}/{path}/commits/{commit}"
+        },
+        gitlab: {
+            name: "GitLab", pattern: /(?:^|\.)gitlab\./, hostname: "gitlab.com", image: "gitlab.svg",
+            link: "https://{host}/{path}", blob: "https://{host}/{path}/blob/{commit}/{file}", line: "#L{line}", range: "#L{line}-{end}",
+            history: "https://{host}/{path}/-/commits/{commit}/{file}", blame: "https://{host}/{path}/-/blame/{commit}/{file}#L{line}",
+            commit: "https://{host}/{path}/-/commit/{commit}"
+        },
+        azure: {
+            name: "Azure DevOps", pattern: /^dev\.azure\.com$|\.visualstudio\.com$/, hostname: "dev.azure.com", image: "git.svg",
+            link: "https://{host}/{path}", blob: "https://{host}/{path}?path=/{file}&version=GC{commit}",
+            line: "&line={line}&lineEnd={line}&lineStartColumn=1&lineEndColumn=1",
+            range: "&line={line}&lineEnd={end}&lineStartColumn=1&lineEndColumn=1",
+            history: "https://{host}/{path}?path=/{file}&version=GC{commit}&_a=history",
+            commit: "https://{host}/{path}/commit/{commit}"
+        },
+        codeberg: {
+            name: "Codeberg", pattern: /^codeberg\.org$/, hostname: "codeberg.org", image: "git.svg",
+            link: "https://{host}/{path}", blob: "https://{host}/{path}/src/commit/{commit}/{file}", line: "#L{line}", range: "#L{line}-L{end}",
+            history: "https://{host}/{path}/commits/commit/{commit}/{file}", blame: "https://{host}/{path}/blame/commit/{commit}/{file}#L{line}",
+            commit: "https://{host}/{path}/commit/{commit}"
+        },
+        gitea: {
+            name: "Gitea", pattern: /(?:^|\.)gitea\./, hostname: "gitea.com", image: "git.svg",
+            link: "https://{host}/{path}", blob: "https://{host}/{path}/src/commit/{commit}/{file}", line: "#L{line}", range: "#L{line}-L{end}",
+            history: "https://{host}/{path}/commits/commit/{commit}/{file}", blame: "https://{host}/{path}/blame/commit/{commit}/{file}#L{line}",
+            commit: "https://{host}/{path}/commit/{commit}"
+        },
+        forgejo: {
+            name: "Forgejo", pattern: /(?:^|\.)forgejo\./, image: "git.svg",
+            link: "https://{host}/{path}", blob: "https://{host}/{path}/src/commit/{commit}/{file}", line: "#L{line}", range: "#L{line}-L{end}",
+            history: "https://{host}/{path}/commits/commit/{commit}/{file}", blame: "https://{host}/{path}/blame/commit/{commit}/{file}#L{line}",
+            commit: "https://{host}/{path}/commit/{commit}"
+        },
+        sourcehut: {
+            name: "sourcehut", pattern: /^git\.sr\.ht$/, hostname: "git.sr.ht", image: "git.svg",
+            link: "https://{host}/{path}", blob: "https://{host}/{path}/tree/{commit}/item/{file}", line: "#L{line}", range: "#L{line}-{end}",
+            history: "https://{host}/{path}/log/{commit}/item/{file}", blame: "https://{host}/{path}/blame/{commit}/{file}#L{line}",
+            commit: "https://{host}/{path}/commit/{commit}"
+        }
+    }
+    
+    /**
+     * Custom git host definitions, as specified by the "gitHosts" option in template config
+     * @typedef {Object} CustomGitHostConfig
+     * @property {String} [host] - exact hostname of the git host
+     * @property {String} [pattern] - regular expression the hostname must match, if host is not specified
+     * @property {String} [type] - name of a built-in git host whose link formats should be used for any not specified
+     * @property {String} [name] - hosted git provider name, defaults to the hostname of the repository
+     * @property {String} [link] - format of the URL of the main page of a repository
+     * @property {String} [blob] - format of the URL of a source file at a specific commit
+     * @property {String} [line] - format of the suffix appended to a source file URL to link directly to a specific line
+     * @property {String} [range] - format of the suffix appended to a source file URL to link directly to a range of lines
+     * @property {String} [history] - format of the URL of the commit history of a source file
+     * @property {String} [blame] - format of the URL of the blame view of a source file
+     * @property {String} [commit] - format of the URL of a specific commit
+     * @property {String} [image] - path to the image file to use in the repository link in the page header
+     */
+    
+    /**
+     * Normalise user-specified git host definitions, so they can be matched in the same way as built-in definitions
+     * @param {CustomGitHostConfig[]} [hosts=[]] - custom git host definitions from template config
+     * @returns {GitHostDefinition[]} the valid custom git host definitions, with any missing formats inherited from a built-in host
+     */
+    static getGitHosts(hosts = []) {
+        const definitions = [];
+        
+        for (let {host, pattern, type, image, ...formats} of (Array.isArray(hosts) ? hosts : [])) {
+            const base = PublishUtils.#gitHosts[type] ?? {};
+            const definition = {...base, name: host ?? base.name, ...formats};
+            
+            // Custom hosts need to be able to match a hostname, and link to something
+            if ((!host && !pattern) || !definition.link || !definition.blob) {
+                logger.warn(`Ignoring custom git host "${host ?? pattern}", as it needs a host or pattern, and either link and blob formats or a known type`);
+                continue;
+            }
+            
+            try {
+                // Exact hostnames are escaped, everything else is treated as a regular expression
+                definition.pattern = new RegExp(!!host ? `^${host.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$` : pattern);
+            } catch (ex) {
+                logger.warn(`Ignoring custom git host with invalid pattern "${pattern}": ${ex.message}`);
+                continue;
+            }
+            
+            // Resolve any user-specified image relative to the working directory
+            if (typeof image === "string") Object.assign(definition, {image: `git${path.extname(image)}`, imagePath: path.resolve(env.pwd, image)});
+            
+            definitions.push({line: "#L{line}", image: "git.svg", ...definition});
+        }
+        
+        return definitions;
+    }
+    
+    /**
+     * Substitute values into placeholders in a git host link format
+     * @param {String} format - the link format, with placeholders like "{commit}" to substitute values into
+     * @param {Object.<string, string|number>} values - values to substitute, keyed by placeholder name
+     * @returns {String} the link format with any placeholders that had values replaced
+     */
+    static formatGitLink(format, values) {
+        return format.replace(/{(\w+)}/g, (placeholder, key) => values[key] ?? placeholder);
     }
     
     /**
      * Extract details about, and resolve configuration for source files located on a hosted git provider
      * @param {String|PackageRepositoryData} repository - location or details of the repository on a hosted git provider
      * @param {String} [commitish] - a commit hash or similar string that identifies exactly what version of a source file should be linked to
+     * @param {GitHostDefinition[]} [customHosts=[]] - user-specified git host definitions, checked before the built-in ones
      * @returns {HostedGitData} configuration details for a given hosted git provider
      */
-    static resolveGitHost(repository, commitish) {
-        if (typeof repository === "string") {
-            // Get repository details if specified in short form
-            const [host, repo = host] = repository.split(":");
-            
-            // Get the host's path details as above
-            switch (host) {
-                case repo:
-                    return PublishUtils.#gitHosts.github(repo, commitish);
-                case "github":
-                case "bitbucket":
-                case "gitlab":
-                    return PublishUtils.#gitHosts[host](repo, commitish);
-            }
-        } else if (repository?.type === "git" && !!repository?.url) {
+    static resolveGitHost(repository, commitish, customHosts = []) {
+        const url = (typeof repository === "string" ? repository : (repository?.type === "git" && repository?.url));
+        let host, repo;
+        
+        if (!url) return;
+        
+        if (/^[\w+-]+:\/\//.test(url)) {
             // Extract git host and repository details from full link
-            const target = new URL(repository.url.replace(/^(?:git\+)?(.*?)(?:\.git)?$/, "$1"));
+            const target = new URL(url.replace(/^(?:git\+)?(.*?)(?:\.git)?\/?$/, "$1"));
+            
+            [host, repo] = [target.hostname, target.pathname.substring(1)];
+        } else if (/^[^\s@:\/]+@[^:\/]+:/.test(url)) {
+            // Handle SSH links in the short "user@host:path" form
+            [, host, repo] = url.match(/^[^@]+@([^:]+):\/?(.*?)(?:\.git)?\/?$/);
+        } else {
+            // Get repository details if specified in short form, where GitHub is assumed if no host was given
+            const [type, path = type] = url.split(":");
+            
+            [host, repo] = [PublishUtils.#gitHosts[type === path ? "github" : type]?.hostname, path];
+        }
+        
+        // Find the first definition, preferring custom ones, whose pattern matches the host
+        const definition = [...customHosts, ...Object.values(PublishUtils.#gitHosts)].find(({pattern}) => !!host && pattern.test(host));
+        const values = {host, path: repo, commit: commitish};
+        
+        if (!!definition) {
+            const {name = host, link, blob, line, range, history, blame, commit, image, imagePath} = definition;
             
-            // Then try again with a string value instead
-            return PublishUtils.resolveGitHost(`${target.host.split(".").shift()}:${target.pathname.substring(1)}`, commitish);
+            return {
+                name, image, line, link: PublishUtils.formatGitLink(link, values),
+                path: !!commitish && PublishUtils.formatGitLink(blob, values),
+                ...(range ? {range} : {}),
+                // History and blame views are also linked to at a specific commit, so need one to be useful
+                ...(!!commitish && history ? {history: PublishUtils.formatGitLink(history, values)} : {}),
+                ...(!!commitish && blame ? {blame: PublishUtils.formatGitLink(blame, values)} : {}),
+                // Links to commits need their own hash substituted in later
+                ...(commit ? {commit: PublishUtils.formatGitLink(commit, {host, path: repo})} : {}),
+                ...(imagePath ? {imagePath} : {})
+            };
         }
     }
+    
+    /**
+     * Generate an HTML link to the lines of the source file a doclet was declared in
+     * @param {Object} meta - details about where a doclet was declared
+     * @param {String} meta.shortpath - shortened path to the source file the doclet was declared in
+     * @param {Number} meta.lineno - line number in the source file the doclet was declared at
+     * @param {Number} [meta.endline] - line number in the source file the doclet's declaration ends at, if known
+     * @param {String} [meta.repopath] - path to the source file relative to the root of its hosted git repository, if any
+     * @param {SourceFilesData} sourceFiles - details about how source files are being handled
+     * @returns {String} the HTML link to the source file, or plain text if the source file has no link, followed by any history and blame links
+     */
+    static linkSource({shortpath, lineno, endline, repopath}, {line, range, history, blame}) {
+        const url = helper.longnameToUrl[shortpath];
+        const text = helper.htmlsafe(`${shortpath}, line ${lineno}`);
+        const values = {file: repopath, line: lineno, end: endline};
+        // Link to the whole declaration where possible, instead of just the first line
+        const suffix = PublishUtils.formatGitLink(!!range && endline > lineno ? range : line, values);
+        // Also link to the file's history and blame views on the git host, if enabled
+        const revisions = (!repopath ? [] : [["History", history], ["Blame", blame]].filter(([, format]) => !!format))
+            .map(([name, format]) => `<a class="source-${name.toLowerCase()}" href="${helper.htmlsafe(PublishUtils.formatGitLink(format, values))}">${name}</a>`);
+        
+        return (!url ? text : `<a href="${helper.htmlsafe(url + suffix)}">${text}</a>`)
+            + (revisions.length ? ` <span class="source-revisions">(${revisions.join(", ")})</span>` : "");
+    }
+    
+    /**
+     * Describe the commit that last changed a doclet, linking to the commit on the hosted git provider if possible
+     * @param {GitCommitData} change - details of the commit that last changed the doclet
+     * @param {SourceFilesData} sourceFiles - details about how source files are being handled
+     * @returns {String} HTML describing when, and by whom, the doclet was last changed
+     */
+    static linkCommit({hash, author, time, hosted}, {commit}) {
+        const date = new Date(time * 1000).toISOString();
+        const short = `<code>${helper.htmlsafe(hash.slice(0, 7))}</code>`;
+        
+        return (!commit || !hosted ? short : `<a href="${helper.htmlsafe(PublishUtils.formatGitLink(commit, {commit: hash}))}">${short}</a>`)
+            + ` by ${helper.htmlsafe(author ?? "unknown")} on <time datetime="${date}">${date.slice(0, 10)}</time>`;
+    }
 }
 
 /**
@@ -656,6 +2352,20 @@ class DocletPage {
      */
     static #sources = new Map();
     
+    /**
+     * Names of all files generated for DocletPage instances, in the order they were generated
+     * @type {Set.<string>}
+     * @private
+     */
+    static #generated = new Set();
+    
+    /**
+     * Map of doclet longnames to the longnames of doclets that augment, implement, or mix them in, keyed by relation
+     * @type {Map.<string, Object.<string, string[]>>}
+     * @private
+     */
+    static #heirs = new Map();
+    
     /**
      * List of DocletPage kinds which will potentially need pages of their own
      * @type {String[]}
@@ -709,6 +2419,14 @@ class DocletPage {
         return (DocletPage.#template = template);
     }
     
+    /**
+     * Names of all files generated for DocletPage instances so far, relative to the output directory
+     * @type {String[]}
+     */
+    static get generated() {
+        return [...DocletPage.#generated];
+    }
+    
     /**
      * Instantiate and prepare a new DocletPage, or return an existing DocletPage for the given source
      * @param {ClassyDoclet} source - the JSDoc doclet containing the details of the DocletPage to be created
@@ -827,7 +2545,14 @@ class DocletPage {
      * @param {String} fileName - name of the file to save the rendered page to
      */
     generate(fileName) {
-        fs.writeFileSync(path.join(outdir, fileName || this.link), this.render(), "utf8");
+        // Make the file name available when rendering, so the page knows where it will be found
+        this.fileName = fileName || this.link;
+        
+        const html = this.render();
+        
+        // Leave out the creation timestamp when checking for changes, otherwise every page would always be rewritten
+        PublishUtils.writeOutput(this.fileName, html, html.replace(/<span class="creation-timestamp">[^<]*<\/span>/, ""));
+        DocletPage.#generated.add(this.fileName);
     }
     
     /**
@@ -842,6 +2567,8 @@ class DocletPage {
             doclet.link = helper.createLink(doclet);
             doclet.id = (!doclet.link.includes("#") ? doclet.name : doclet.link.split(/#/).pop());
             if (doclet.longname) helper.registerLink(doclet.longname, doclet.link);
+            // Each overload shares the doclet's anchor, but gets its own as well
+            for (let [index, overload] of (doclet.overloads ?? []).entries()) overload.id = `${doclet.id}-${index + 1}`;
             if (doclet.meta) {
                 let {path: dir, filename: fn} = doclet.meta;
                 doclet.meta.source = dir && dir !== "null" ? path.join(dir, fn) : fn;
@@ -859,11 +2586,40 @@ class DocletPage {
      * @param {Salty} data - constructed and filtered dataset of JSDoc doclets
      */
     static inherit(doclets, data) {
+        const mixed = new Set();
+        
+        // JSDoc mixes members into ES6 classes twice, once for the class and again for its constructor, so only keep the first copy
+        doclets = doclets.filter((doclet) => {
+            const key = `${doclet.kind}:${doclet.longname}`;
+            const isDuplicate = (!!doclet.mixed && DocletPage.members.includes(doclet.kind) && mixed.has(key));
+            
+            if (isDuplicate) data(function () { return this === doclet; }).remove();
+            else if (doclet.mixed) mixed.add(key);
+            
+            return !isDuplicate;
+        });
+        
+        // Mixed in members give way to members of the same name documented on the target itself
+        for (let doclet of doclets) if (doclet.mixed && DocletPage.members.includes(doclet.kind)) {
+            const [local] = data({longname: doclet.longname, kind: doclet.kind, mixed: {isUndefined: true}}).get();
+            const [source] = data({longname: doclet.mixes?.[0]}).get();
+            
+            // Otherwise, note which mixin the member came from
+            if (!local) doclet.mixedFrom = source?.memberof ?? doclet.mixes?.[0];
+            else {
+                data({longname: doclet.longname, kind: doclet.kind, mixed: true}).remove();
+                local.overrides = local.overrides ?? doclet.mixes;
+            }
+        }
+        
+        // Don't bother establishing inheritance for any members that were just removed
+        doclets = doclets.filter(({mixed, mixedFrom, kind}) => (!mixed || !!mixedFrom || !DocletPage.members.includes(kind)));
+        
         for (let doclet of doclets) {
             // Establish inheritance for supplied doclets, where supported
             if (!!doclet?.meta) {
                 // Establish initial inheritance chain for the doclet, as well as whether it is a container-generating doclet
-                const inheritance = new Set([...(doclet.implements ?? []), ...[doclet.augments, doclet.implements, doclet.overrides].flatMap((i) => i ? i : []).map((v) => v.replaceAll(/(.*?)[<].*?[>]/g, "$1"))]);
+                const inheritance = new Set([...(doclet.implements ?? []), ...[doclet.augments, doclet.implements, doclet.overrides].flatMap((i) => i ? i : []).map((v) => PublishUtils.splitTypeArguments(v).shift())]);
                 const isContainer = DocletPage.containers.includes(doclet.kind);
                 const templateValues = new Map(Array.from(doclet?.templates?.entries() ?? [], ([key, value]) => ([key, value?.type?.names?.join("|") || value.defaultvalue || key])));
                 
@@ -874,69 +2630,61 @@ class DocletPage {
                     const [parent] = data().get().filter(({name, longname, meta: {filename: fn, path: p} = {}}) => 
                         // Need to use native array filter since Salty doesn't support comparing deeply nested properties
                         ((fn === filename && p === path) && (name === doclet.memberof || longname === doclet.memberof)));
-                    // Then get details about where the doclet inherits from its parent
-                    const {augments: augs = [], implements: imps = [], templates} = parent ?? {};
-                    const ancestors = [["augments", augs], ["implements", imps]];
-                    
                     // Store type parameter values from parent with either specified type or fallback value
-                    for (let [key, value] of Array.from(templates?.entries() ?? [], ([key, value]) => ([key, value?.type?.names?.join("|") || key]))) {
+                    for (let [key, value] of Array.from(parent?.templates?.entries() ?? [], ([key, value]) => ([key, value?.type?.names?.join("|") || key]))) {
                         templateValues.set(key, value);
                     }
                     
-                    // If the parent inherits from somewhere, assume this symbol might inherit from there too
-                    for (let [type, targets] of ancestors) {
-                        // Go through each inheritable symbol to add to the doclet
-                        for (let target of targets) {
-                            // Strip TypeScript generic type params from inheritance targets
-                            const [fallback, longname = fallback, typeParamsString = ""] = /(.*)[<](.*)[>]|.*/g.exec(target);
-                            const ancestorName = `${longname}${helper.scopeToPunc[doclet.scope || "instance"]}${doclet.name}`;
-                            // Extract TypeScript generic type params from inheritance target
-                            const typeParams = typeParamsString.split(",").map((s) => s.trim()).filter(s => s);
-                            const [heritage] = data({longname}).get();
-                            
-                            // Store type parameter values with either specified type or fallback value
-                            for (let [key, value] of Array.from(heritage.templates?.entries() ?? [], ([key, value], index) => ([key, typeParams[index] ?? value?.defaultvalue]))) {
-                                templateValues.set(key, value);
-                            }
+                    // If the parent inherits from somewhere, assume this symbol might inherit from anywhere along the chain too
+                    for (let {doclet: heritage, relation, typeParams, depth} of (!!parent ? DocletPage.ancestry(parent, data) : [])) if (relation !== "mixes") {
+                        const type = (relation === "implements" || heritage.kind === "interface" ? "implements" : "augments");
+                        const ancestorName = `${heritage.longname}${helper.scopeToPunc[doclet.scope || "instance"]}${doclet.name}`;
+                        
+                        // Store type parameter values with either specified type or fallback value, without replacing nearer values
+                        for (let [key, value] of Array.from(heritage.templates?.entries() ?? [], ([key, value], index) => ([key, typeParams[index] ?? value?.defaultvalue]))) {
+                            if (depth === 1 || !templateValues.has(key)) templateValues.set(key, value);
+                        }
+                        
+                        // Add ancestor to inheritance chain, and to the doclet, but only add symbols further up the chain if they exist
+                        if (!inheritance.has(ancestorName) && (depth === 1 || !!helper.longnameToUrl[ancestorName])) {
+                            inheritance.add(ancestorName);
                             
-                            // Add ancestor to inheritance chain, and to the doclet
-                            if (!inheritance.has(ancestorName)) {
-                                inheritance.add(ancestorName);
-                                
-                                // Add inheritance of specified type to the doclet
-                                doclet[type] = doclet[type] ?? [];
-                                if (!doclet[type].includes(ancestorName)) doclet[type].push(ancestorName);
-                            }
+                            // Add inheritance of specified type to the doclet
+                            doclet[type] = doclet[type] ?? [];
+                            if (!doclet[type].includes(ancestorName)) doclet[type].push(ancestorName);
                         }
                     }
                 }
                 
-                // Apply inheritance if necessary!
+                // Apply inheritance if necessary, going through the chain so the nearest symbol with a given tag wins!
                 if (inheritance.size > 0 && !doclet.exceptions) {
                     // Establish details of the symbol to inherit from
                     const {name, kind, scope} = doclet;
-                    // Only inherit from the first name in the list
-                    const [fallback, longname = fallback, typeParamsString = ""] = /(.*)[<](.*)[>]|.*/g.exec(inheritance.values().next().value);
-                    const typeParams = typeParamsString.split(",").map((s) => s.trim()).filter(s => s);
-                    // See if we can find a symbol to inherit from
-                    const query = {longname, kind, ...(!!scope && !isContainer ? {scope} : {})};
-                    const [inheritable] = (isContainer ? data(query).get() : [
-                        // Need to use multiple queries as Salty doesn't support branching logic from TaffyDB
-                        ...data({...query, name}).get(), ...data({...query, alias: name}).get()
-                    ]);
+                    const inherited = new Set();
                     
-                    // If so, apply inheritance to inheritable tags
-                    if (!!inheritable) {
-                        for (let key of ["description", "examples", "see", "params", "properties", "type", "returns"]) {
-                            // Only if the tag isn't already defined on the doclet
-                            if (!Object.keys(doclet[key] ?? "").length && !!inheritable[key]) {
-                                doclet[key] = JSON.parse(JSON.stringify(inheritable[key]));
-                            }
-                        }
+                    for (let entry of inheritance) {
+                        const [longname, typeParams] = PublishUtils.splitTypeArguments(entry);
+                        // See if we can find a symbol to inherit from
+                        const query = {longname, kind, ...(!!scope && !isContainer ? {scope} : {})};
+                        const [inheritable] = (isContainer ? data(query).get() : [
+                            // Need to use multiple queries as Salty doesn't support branching logic from TaffyDB
+                            ...data({...query, name}).get(), ...data({...query, alias: name}).get()
+                        ]);
                         
-                        // Mix in additional type parameter values from the inheritable symbol
-                        for (let [key, value] of Array.from(inheritable.templates?.entries() ?? [], ([key, value], index) => ([key, typeParams[index] ?? value?.defaultvalue]))) {
-                            templateValues.set(key, value);
+                        // If so, apply inheritance to inheritable tags
+                        if (!!inheritable) {
+                            for (let key of ["description", "examples", "see", "params", "properties", "type", "returns"]) {
+                                // Only if the tag isn't already defined on the doclet
+                                if (!Object.keys(doclet[key] ?? "").length && !!inheritable[key]) {
+                                    doclet[key] = JSON.parse(JSON.stringify(inheritable[key]));
+                                }
+                            }
+                            
+                            // Mix in additional type parameter values from the inheritable symbol, unless a nearer symbol already did
+                            for (let [key, value] of Array.from(inheritable.templates?.entries() ?? [], ([key, value], index) => ([key, typeParams[index] ?? value?.defaultvalue]))) {
+                                if (!inherited.has(key)) templateValues.set(key, value);
+                                inherited.add(key);
+                            }
                         }
                     }
                 }
@@ -946,12 +2694,7 @@ class DocletPage {
                     for (let value of Array.isArray(doclet[key]) ? doclet[key] : [doclet[key]]) {
                         // Get a new, unique set of type names, with template names replaced
                         if (value?.type?.names) value.type.names = Array.from(
-                            new Set(value.type.names.flatMap(t => t
-                                .replace(/(?:Promise\.<)(.*)(?:>)/g, "$1").replace(/^(?:\()(.*)(?:\))$/g, "$1")
-                                .replace(/(Array\.<)(.*)(>)/g, (_, l, n, r) => `${l}${templateValues.get(n) ?? n}${r}`)
-                                .split(/(?<![<].*?)[|]/)
-                            )),
-                            (n) => (templateValues.get(n) ?? n)
+                            new Set(value.type.names.flatMap((name) => PublishUtils.resolveTypeNames(name, templateValues, env.conf?.templates?.classy)))
                         ).filter((name) => name !== "void");
                     }
                 }
@@ -960,6 +2703,241 @@ class DocletPage {
             // Get ancestor links for the doclet
             doclet.ancestors = helper.getAncestorLinks(data, doclet);
         }
+        
+        // Collect members inherited by class-like doclets, now that inheritance has been established for all members
+        for (let doclet of doclets) if (DocletPage.classlike.includes(doclet.kind)) {
+            doclet.inheritedMembers = DocletPage.inheritedMembers(doclet, data);
+        }
+        
+        // Work out which doclets inherit from each doclet, too
+        DocletPage.relate(doclets);
+    }
+    
+    /**
+     * Compute the reverse of augments, implements, and mixes relationships across all doclets, and add them to the inherited doclets
+     * @param {ClassyDoclet[]} doclets - set of all documented doclets, with inheritance already established
+     */
+    static relate(doclets) {
+        const heirs = DocletPage.#heirs;
+        const kinds = new Map(doclets.map(({longname, kind}) => [longname, kind]));
+        
+        // Go through every relationship, noting it against the doclet being inherited from
+        for (let doclet of doclets) for (let relation of ["augments", "implements", "mixes"]) for (let target of doclet[relation] ?? []) {
+            const [longname] = PublishUtils.splitTypeArguments(target);
+            const related = heirs.get(longname) ?? heirs.set(longname, {augments: [], implements: [], mixes: []}).get(longname);
+            
+            // Only relate containers to containers, and members to members
+            if (DocletPage.containers.includes(doclet.kind) === DocletPage.containers.includes(kinds.get(longname)) && !related[relation].includes(doclet.longname)) {
+                related[relation].push(doclet.longname);
+            }
+        }
+        
+        for (let doclet of doclets) if (heirs.has(doclet.longname)) {
+            const {augments, implements: implementers, mixes} = heirs.get(doclet.longname);
+            
+            // Interfaces and their members know which classes and members implement them, even if JSDoc didn't say so
+            if (implementers.length) doclet.implementations = [...new Set([...(doclet.implementations ?? []), ...implementers])];
+            
+            if (DocletPage.containers.includes(doclet.kind)) {
+                // Direct subclasses are easy, but all known subclasses means following the chain all the way down
+                const known = new Set(augments);
+                for (let longname of known) for (let heir of heirs.get(longname)?.augments ?? []) if (heir !== doclet.longname) known.add(heir);
+                
+                if (augments.length) doclet.subclasses = augments;
+                if (known.size > augments.length) doclet.knownSubclasses = [...known];
+                if (mixes.length) doclet.mixedInto = mixes;
+            }
+        }
+    }
+    
+    /**
+     * Ancestor of a container doclet, and how it was inherited
+     * @typedef {Object} DocletAncestor
+     * @property {ClassyDoclet} doclet - the doclet of the ancestor class, interface, or mixin
+     * @property {"augments"|"implements"|"mixes"} relation - how the ancestor was inherited by the previous doclet in the chain
+     * @property {String[]} typeParams - type arguments supplied to the ancestor's type parameters, if any
+     * @property {Number} depth - how far along the chain the ancestor is, where direct ancestors have a depth of 1
+     */
+    
+    /**
+     * Find every documented class, interface, and mixin a container doclet inherits from, through the whole chain of augments, implements, and mixes tags
+     * @param {ClassyDoclet} doclet - the container doclet whose ancestors should be found
+     * @param {Salty} data - constructed and filtered dataset of JSDoc doclets
+     * @returns {DocletAncestor[]} every ancestor of the doclet, nearest first
+     */
+    static ancestry(doclet, data) {
+        const ancestors = [];
+        const seen = new Set([doclet.longname]);
+        const queue = [{doclet, depth: 0}];
+        
+        // Go through the chain breadth-first, so that nearer ancestors come first
+        while (queue.length) {
+            const {doclet: current, depth} = queue.shift();
+            
+            for (let relation of ["augments", "implements", "mixes"]) for (let target of current[relation] ?? []) {
+                // Separate TypeScript generic type params from inheritance targets
+                const [longname, typeParams] = PublishUtils.splitTypeArguments(target);
+                const [ancestor] = data({longname, kind: DocletPage.containers}).get();
+                
+                if (!!ancestor && !seen.has(longname)) {
+                    seen.add(longname);
+                    ancestors.push({doclet: ancestor, relation, typeParams, depth: depth + 1});
+                    queue.push({doclet: ancestor, depth: depth + 1});
+                }
+            }
+        }
+        
+        return ancestors;
+    }
+    
+    /**
+     * Find every documented class, interface, and mixin that directly inherits from a container doclet
+     * @param {ClassyDoclet} doclet - the container doclet whose descendants should be found
+     * @param {Salty} data - constructed and filtered dataset of JSDoc doclets
+     * @returns {Array<{doclet: ClassyDoclet, relation: "augments"|"implements"|"mixes"}>} each descendant of the doclet, and how it inherits from the doclet
+     */
+    static descendants(doclet, data) {
+        return Object.entries(DocletPage.#heirs.get(doclet.longname) ?? {})
+            .flatMap(([relation, longnames]) => longnames.map((longname) => ({doclet: data({longname, kind: DocletPage.containers}).get()[0], relation})))
+            .filter(({doclet}) => !!doclet);
+    }
+    
+    /**
+     * Branch of a hierarchy tree, listing a class, interface, or mixin and everything of the same kind that augments it
+     * @typedef {Object} HierarchyBranch
+     * @property {ClassyDoclet} doclet - the doclet of the class, interface, or mixin at this point in the tree
+     * @property {HierarchyBranch[]} children - branches for each doclet of the same kind that directly augments this one
+     */
+    
+    /**
+     * Classes, interfaces, and mixins to show on the hierarchy page
+     * @typedef {Object} HierarchyData
+     * @property {ClassyDoclet[]} diagram - every class, interface, and mixin that inherits from, or is inherited by, another
+     * @property {HierarchyBranch[]} class - trees of classes, starting from those that don't augment any other documented class
+     * @property {HierarchyBranch[]} interface - trees of interfaces, starting from those that don't augment any other documented interface
+     * @property {HierarchyBranch[]} mixin - trees of mixins, starting from those that don't augment any other documented mixin
+     */
+    
+    /**
+     * Collect every documented class, interface, and mixin into trees for the hierarchy page
+     * @param {Salty} data - constructed and filtered dataset of JSDoc doclets
+     * @returns {HierarchyData|undefined} the classes, interfaces, and mixins to show, or undefined if there are none
+     */
+    static hierarchy(data) {
+        const doclets = data({kind: ["class", "interface", "mixin"]}).get();
+        const longnames = new Set(doclets.map(({longname}) => longname));
+        const targets = (doclet, relations = ["augments"]) => relations.flatMap((relation) => doclet[relation] ?? [])
+            .map((target) => PublishUtils.splitTypeArguments(target)[0]).filter((longname) => longnames.has(longname));
+        
+        // Build each branch from doclets of the same kind that directly augment it, without going around in circles
+        const branch = (doclet, seen = new Set([doclet.longname])) => ({doclet, children: doclets
+            .filter((child) => child.kind === doclet.kind && !seen.has(child.longname) && targets(child).includes(doclet.longname))
+            .map((child) => branch(child, new Set([...seen, child.longname])))});
+        const trees = (kind) => doclets
+            .filter((doclet) => doclet.kind === kind && !targets(doclet).some((longname) => data({longname, kind}).get().length))
+            .map((doclet) => branch(doclet));
+        
+        return (!doclets.length ? undefined : {
+            diagram: doclets.filter((doclet) => targets(doclet, ["augments", "implements", "mixes"]).length
+                || doclets.some((other) => targets(other, ["augments", "implements", "mixes"]).includes(doclet.longname))),
+            class: trees("class"), interface: trees("interface"), mixin: trees("mixin")
+        });
+    }
+    
+    /**
+     * Documented symbols with a given tag that belong to the same container
+     * @typedef {Object} AnnotatedSymbols
+     * @property {String} id - the ID of the element listing the symbols on the page
+     * @property {String} longname - the long name of the container the symbols belong to, "global" for global members, or empty for top-level containers
+     * @property {ClassyDoclet[]} doclets - every container and member with the tag in the container, sorted by long name
+     */
+    
+    /**
+     * Group every documented container and member with a given tag, such as "deprecated" or "todo", by the container it belongs to
+     * @param {Salty} data - constructed and filtered dataset of JSDoc doclets
+     * @param {String} tag - the name of the doclet property the tag is stored in
+     * @returns {AnnotatedSymbols[]|undefined} symbols with the tag in each container, sorted by long name, or undefined if there are none
+     */
+    static annotations(data, tag) {
+        // Inherited and mixed in copies are already listed under the container they came from
+        const doclets = data({kind: [...DocletPage.containers, ...DocletPage.members]}).get()
+            .filter((doclet) => (!!doclet[tag] && !doclet.inherited && !doclet.mixed))
+            .sort((a, b) => a.longname.localeCompare(b.longname));
+        // Top-level containers don't belong to anything, and are listed separately so "global" only ever holds global members
+        const group = ({kind, memberof}) => (memberof || (DocletPage.containers.includes(kind) ? "" : "global"));
+        const containers = [...new Set(doclets.map(group))].sort((a, b) => a.localeCompare(b));
+        
+        return (!containers.length ? undefined : containers.map((longname) => ({
+            id: (!longname ? "top-level" : `container-${longname.replace(/[^\w$-]+/g, "-")}`), longname,
+            doclets: doclets.filter((doclet) => group(doclet) === longname)
+        })));
+    }
+    
+    /**
+     * Documented symbols that were added in a specific version
+     * @typedef {Object} VersionChanges
+     * @property {String} id - the ID of the element listing the symbols on the changes page
+     * @property {String} version - the version the symbols were added in, as given by their "since" tags
+     * @property {Boolean} current - whether the version is the current version of the package
+     * @property {ClassyDoclet[]} doclets - every container and member added in the version, sorted by long name
+     */
+    
+    /**
+     * Group every documented container and member with a "since" tag by the version it was added in
+     * @param {Salty} data - constructed and filtered dataset of JSDoc doclets
+     * @param {String} [version] - the current version of the package, if known
+     * @returns {VersionChanges[]|undefined} symbols added in each version, most recent version first, or undefined if there are none
+     */
+    static changes(data, version) {
+        // Inherited and mixed in copies weren't really added to anything, so only include the originals
+        const doclets = data({kind: [...DocletPage.containers, ...DocletPage.members]}).get()
+            .filter(({since, inherited, mixed}) => (!!since && !inherited && !mixed))
+            .sort((a, b) => a.longname.localeCompare(b.longname));
+        // Versions can be written differently and still be the same, like "1.0" and "v1.0.0", but anything else must match exactly
+        const same = (a, b) => (a === b || (/^v?\d/.test(a) && /^v?\d/.test(b) && PublishUtils.compareVersions(a, b) === 0));
+        const versions = doclets.map(({since}) => String(since).trim())
+            .reduce((versions, since) => (versions.some((v) => same(v, since)) ? versions : [...versions, since]), [])
+            .sort((a, b) => PublishUtils.compareVersions(b, a));
+        
+        return (!versions.length ? undefined : versions.map((since) => ({
+            id: `version-${since.replace(/[^\w.-]+/g, "-")}`, version: since,
+            current: !!version && same(since, String(version)),
+            doclets: doclets.filter((doclet) => same(String(doclet.since).trim(), since))
+        })));
+    }
+    
+    /**
+     * Members a class-like doclet inherits from one of its ancestors
+     * @typedef {Object} InheritedMembers
+     * @property {String} id - the ID of the element listing the members on the class-like doclet's page
+     * @property {ClassyDoclet} ancestor - the doclet of the ancestor the members are defined by
+     * @property {"augments"|"implements"|"mixes"} relation - how the ancestor was inherited
+     * @property {Array<{doclet: ClassyDoclet, overriddenBy?: ClassyDoclet}>} members - each member, and the nearer symbol that overrides it, if any
+     */
+    
+    /**
+     * Collect members defined by every ancestor of a class-like doclet, grouped by ancestor, noting which are overridden along the way
+     * @param {ClassyDoclet} doclet - the class-like doclet whose inherited members should be collected
+     * @param {Salty} data - constructed and filtered dataset of JSDoc doclets
+     * @returns {InheritedMembers[]} members of each ancestor that defines any, nearest ancestor first
+     */
+    static inheritedMembers(doclet, data) {
+        // Keep track of the nearest definition of each member, starting with the doclet's own members (excluding copies made by JSDoc)
+        const defined = new Map(data({memberof: doclet.longname, kind: DocletPage.members}).get()
+            .filter(({inherited, mixed}) => (!inherited && !mixed)).map((member) => [member.name, member]));
+        
+        return DocletPage.ancestry(doclet, data).map(({doclet: ancestor, relation}) => ({
+            id: `inherited-${ancestor.longname.replace(/[^\w$-]+/g, "-")}`, ancestor, relation,
+            // Mixins contribute all of their members, but classes and interfaces only contribute instance members
+            members: data({memberof: ancestor.longname, kind: DocletPage.members}).get()
+                .filter(({scope, inherited, mixed}) => ((relation === "mixes" || scope === "instance") && !inherited && !mixed))
+                .map((member) => {
+                    const overriddenBy = defined.get(member.name);
+                    if (!overriddenBy) defined.set(member.name, member);
+                    
+                    return {doclet: member, ...(!!overriddenBy ? {overriddenBy} : {})};
+                })
+        })).filter(({members}) => members.length > 0);
     }
     
     /**
@@ -967,8 +2945,8 @@ class DocletPage {
      * @param {Object[]} doclets - set of doclets for which signatures should be created
      */
     static sign(doclets) {
-        for (let doclet of doclets) {
-            const {kind, type, meta, signature = "", params = []} = doclet;
+        for (let doclet of doclets) PublishUtils.withImporter(doclet.meta, () => {
+            const {kind, type, meta, templates, signature = "", params = []} = doclet;
             // Add types to signatures of constants and members
             const needsTypes = ["constant", "member"].includes(kind);
             // Functions and classes automatically get signatures
@@ -999,8 +2977,8 @@ class DocletPage {
                     })
                     .join(", ");
                 
-                // Add params to the signature, then add attribs and returns to the signature
-                doclet.signature = `<span class="signature">${signature}(${args})</span>`;
+                // Add type parameters and params to the signature, then add attribs and returns to the signature
+                doclet.signature = `<span class="signature">${signature}${PublishUtils.templatesString(templates)}(${args})</span>`;
                 doclet.signature += `<span class="type-signature returns">${throws?.length ? ` &raquo; ${throws}` : returns.length ? ` &rarr; ${attribs}{${returns}}` : ""}</span>`;
             } else if (needsTypes) {
                 const types = PublishUtils.typeStrings(doclet);
@@ -1014,7 +2992,55 @@ class DocletPage {
                 const attribs = PublishUtils.attribsString(helper.getAttribs(doclet));
                 if (attribs.length) doclet.attribs = `<span class="type-signature">${attribs} </span>`;
             }
+            
+            // Overloads get signatures of their own, too
+            if (doclet.overloads?.length) DocletPage.sign(doclet.overloads);
+        });
+    }
+    
+    /**
+     * Details about where a documented symbol is declared in a source file
+     * @typedef {Object} SourceSymbol
+     * @property {String} longname - the fully resolved name of the documented symbol
+     * @property {String} name - the short name of the documented symbol
+     * @property {String} kind - the kind of the documented symbol
+     * @property {String} [memberof] - the long name of the symbol's container, if any
+     * @property {String} url - the link to the symbol's documentation
+     * @property {Number} line - the line the symbol's declaration starts on
+     * @property {Number} end - the line the symbol's declaration ends on
+     * @property {Number[]} range - the positions of the first and last characters of the symbol's declaration
+     * @property {{line: Number, column: Number}} [position] - where the symbol's name first appears in its declaration, if it does
+     */
+    
+    /**
+     * Work out where each documented symbol declared in a source file starts and ends, and where its name is
+     * @param {String} code - contents of the source file
+     * @param {ClassyDoclet[]} doclets - doclets declared in the source file
+     * @returns {SourceSymbol[]} details of every documented symbol in the source file with a known declaration, in order
+     */
+    static symbols(code, doclets) {
+        // Get the offset of the start of each line, so offsets can be turned into line numbers
+        const starts = [0, ...[...code.matchAll(/\r\n?|\n/g)].map(({0: eol, index}) => index + eol.length)];
+        const lineAt = (offset) => starts.filter((start) => start <= offset).length;
+        const symbols = new Map();
+        
+        // Only include symbols actually declared here, not inherited or mixed in copies of them
+        for (let doclet of doclets) if (Array.isArray(doclet.meta?.range) && !doclet.inherited && !doclet.mixed && helper.longnameToUrl[doclet.longname]) {
+            const {longname, name, kind, memberof, meta: {range: [start, end]}} = doclet;
+            // Look for the first use of the symbol's name within its declaration
+            const pattern = new RegExp(`(?<![\\w$#])${String(name).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?![\\w$])`);
+            const match = pattern.exec(code.slice(start, end));
+            const position = match && {line: lineAt(start + match.index)};
+            
+            if (position) position.column = start + match.index - starts[position.line - 1];
+            if (!symbols.has(longname)) symbols.set(longname, {
+                longname, name, kind, memberof, url: helper.longnameToUrl[longname],
+                line: lineAt(start), end: lineAt(Math.max(start, end - 1)), range: [start, end],
+                ...(position ? {position} : {})
+            });
         }
+        
+        return [...symbols.values()].sort((a, b) => (a.line - b.line || (a.position?.column ?? 0) - (b.position?.column ?? 0)));
     }
     
     /**
@@ -1022,10 +3048,12 @@ class DocletPage {
      * @param {Object[]} doclets - set of doclets to assess for potential source files
      * @param {String[]} files - list of all source file names
      * @param {String} [encoding="utf8"] - encoding to use when reading source files
-     * @param {String|Boolean} [repositoryPath=false] - path to the hosted git repository, if specified
+     * @param {String|Boolean} [repositoryPath=false] - format of source file URLs on the hosted git repository, if specified
+     * @param {String} [repositoryRoot] - path to the root of the repository's working tree, which hosted source file URLs are relative to
+     * @param {Boolean} [lastChanged=false] - whether to find out when each symbol was last changed from the git repository containing its source file
      * @returns {DocletPage[]} collection of doclet pages to be generated for source files
      */
-    static sources(doclets, {_: files, encoding = "utf8"}, repositoryPath = false) {
+    static sources(doclets, {_: files, encoding = "utf8"}, repositoryPath = false, repositoryRoot, lastChanged = false) {
         const pages = [];
         // Get the real prefix of the source files, as JSDoc strips it!
         const realPrefix = files
@@ -1038,30 +3066,50 @@ class DocletPage {
             const commonPrefix = JSDocPath.commonPrefix([...DocletPage.#sources.keys()]);
             
             for (let file of [...DocletPage.#sources.values()]) {
-                // Add the shortened path and register the link
+                // Add the shortened path, and the path relative to the repository root, which may not be the working directory
                 file.shortened = file.resolved.replace(commonPrefix, realPrefix + (realPrefix.endsWith("/") ? "" : "/")).replace(/\\/g, "/");
-                helper.registerLink(file.shortened, !!repositoryPath ? `${repositoryPath}${file.shortened}` : helper.getUniqueFilename(file.shortened));
+                const repositoryFile = (!repositoryRoot ? file.shortened : path.relative(repositoryRoot, file.resolved).replace(/\\/g, "/"));
                 
-                // If repository path not specified, assume pages must be generated for source files
-                if (!repositoryPath) {
-                    try {
-                        // So attempt to do that
-                        const doclet = {kind: "source", name: file.shortened, longname: file.shortened};
-                        const docs = [{kind: "source", code: helper.htmlsafe(fs.readFileSync(file.resolved, encoding))}];
-                        
-                        pages.push(new DocletPage(doclet, docs, false));
-                    } catch (ex) {
-                        logger.error(`Error while generating source file ${file.resolved}: ${ex.message}`);
-                    }
+                // Register the link to either the hosted or generated source file
+                helper.registerLink(file.shortened, !!repositoryPath ? PublishUtils.formatGitLink(repositoryPath, {file: repositoryFile}) : helper.getUniqueFilename(file.shortened));
+                file.repository = repositoryFile;
+                
+                try {
+                    // Read the file, so the lines each symbol is declared on can be worked out
+                    file.code = fs.readFileSync(file.resolved, encoding);
+                    file.symbols = DocletPage.symbols(file.code, doclets.filter(({meta}) => meta?.source === file.resolved));
+                    // Source files may not all be in the same repository, or the one the documentation is being generated from
+                    const {root} = (!!lastChanged && PublishUtils.getGitDirectory(path.dirname(file.resolved))) || {};
+                    file.blame = (!!root ? PublishUtils.getGitBlame(root, file.resolved) : undefined);
+                    // ...and commits from any other repository can't be linked to on the git host
+                    file.hosted = (!!root && root === repositoryRoot);
+                } catch (ex) {
+                    logger.error(`Error while reading source file ${file.resolved}: ${ex.message}`);
                 }
             }
             
             for (let doclet of doclets) {
-                // Update the short path for all doclets
+                // Update the short path for all doclets, and where their declarations end, including inherited copies
                 if (doclet.meta && DocletPage.#sources.has(doclet.meta.source)) {
-                    doclet.meta.shortpath = DocletPage.#sources.get(doclet.meta.source).shortened;
+                    const {shortened, repository, symbols = [], blame = [], hosted} = DocletPage.#sources.get(doclet.meta.source);
+                    const {line, end} = symbols.find(({range: [start, end]}) => (start === doclet.meta.range?.[0] && end === doclet.meta.range?.[1])) ?? {};
+                    // The most recent commit to change any line of the declaration is when the symbol was last changed
+                    const [lastChanged] = (!end ? [] : blame.slice(line, end + 1).filter((commit) => !!commit).sort((a, b) => b.time - a.time));
+                    
+                    doclet.meta.shortpath = shortened;
+                    doclet.meta.repopath = repository;
+                    if (end) doclet.meta.endline = end;
+                    if (lastChanged) doclet.lastChanged = {...lastChanged, hosted};
                 }
             }
+            
+            // If repository path not specified, assume pages must be generated for source files
+            if (!repositoryPath) for (let file of [...DocletPage.#sources.values()]) if (file.code !== undefined) {
+                const doclet = {kind: "source", name: file.shortened, longname: file.shortened};
+                const docs = [{kind: "source", code: helper.htmlsafe(file.code), symbols: file.symbols}];
+                
+                pages.push(new DocletPage(doclet, docs, false));
+            }
         }
         
         return pages;
@@ -1077,38 +3125,93 @@ class DocletPage {
 exports.publish = (data, opts, tutorials) => {
     // Get package data, template path and overall config
     const [packageData = {}] = data({kind: "package"}).get();
-    const {templatePath, templateConfig, sourceFiles} = PublishUtils.getPublishConfig(path.normalize(opts.template), opts.package, packageData.repository);
+    const {templatePath, templateConfig, sourceFiles} = PublishUtils.getPublishConfig(path.normalize(opts.template), opts.package, packageData.repository, packageData.version);
+    
+    // Versioned documentation needs a version to publish for, so fall back to regular output without one
+    if (templateConfig.classy.versioned && !packageData.version) {
+        logger.warn("Versioned output requires a package.json file with a version, so output will not be versioned");
+        templateConfig.classy.versioned = false;
+    }
+    
+    // Write versioned documentation to a subdirectory for the package version
+    if (templateConfig.classy.versioned) {
+        outdir = path.join(destination, String(packageData.version).replace(/[\\/]/g, "-"));
+    }
     
     // Claim some special filenames in advance, so the All-Powerful Overseer of Filename Uniqueness
     const globalUrl = helper.getUniqueFilename("global");
     const indexUrl = helper.getUniqueFilename("index");
+    const coverageUrl = templateConfig.classy.coverage && helper.getUniqueFilename("coverage");
+    const hierarchyUrl = templateConfig.classy.hierarchy && helper.getUniqueFilename("hierarchy");
+    const changesUrl = templateConfig.classy.changes && helper.getUniqueFilename("changes");
+    const deprecatedUrl = templateConfig.classy.deprecations && helper.getUniqueFilename("deprecated");
+    const todoUrl = templateConfig.classy.todos && helper.getUniqueFilename("todo");
     const pages = [];
     
+    // Hold on to undocumented symbols for measuring documentation coverage, since they are about to be pruned
+    const undocumented = (templateConfig.classy.coverage ? data({undocumented: true}).get() : []);
+    
     // Get things ready
     helper.prune(data);
+    if (templateConfig.classy.hideDeprecated) PublishUtils.pruneDeprecated(data);
     helper.setTutorials(tutorials);
     helper.registerLink("global", globalUrl);
     helper.addEventListeners(data);
     JSDocFS.mkPath(outdir);
     
+    // Keep track of what gets written, so unchanged files aren't written again, if enabled
+    if (templateConfig.classy.incremental) PublishUtils.beginIncrementalBuild();
+    
     // Set up templating and handle static files
     const template = DocletPage.template = PublishUtils.bootstrapTemplate(templatePath, templateConfig, data, packageData, sourceFiles);
-    PublishUtils.handleStatics(templatePath, templateConfig?.default?.staticFiles, {icon: templateConfig.classy.icon, logo: templateConfig.classy.logo, gitImage: sourceFiles.image});
+    PublishUtils.handleStatics(templatePath, templateConfig?.default?.staticFiles, {icon: templateConfig.classy.icon, logo: templateConfig.classy.logo, gitImage: sourceFiles.imagePath ?? sourceFiles.image});
     
     // Prepare all doclets for consumption
     DocletPage.declare(data().get(), templateConfig.classy.apiEntry, indexUrl);
+    PublishUtils.declareImports(data().get());
     DocletPage.inherit(data().get(), data);
     DocletPage.sign(data().get(), data);
+    
+    // Collect ancestors and direct descendants of classes and interfaces for their inheritance diagrams, if enabled
+    if (templateConfig.classy.hierarchy) for (let doclet of data({kind: ["class", "interface"]}).get()) {
+        const relatives = [doclet, ...[...DocletPage.ancestry(doclet, data), ...DocletPage.descendants(doclet, data)].map(({doclet}) => doclet)];
+        if (relatives.length > 1) doclet.hierarchy = [...new Map(relatives.map((doclet) => [doclet.longname, doclet])).values()];
+    }
+    
+    // Only generate the hierarchy page if there are any classes, interfaces, or mixins to show on it
+    const hierarchy = (!hierarchyUrl ? undefined : DocletPage.hierarchy(data));
+    // ...and only generate the changes page if any symbols say when they were added
+    const changes = (!changesUrl ? undefined : DocletPage.changes(data, packageData.version));
+    // ...and only generate deprecated and to-do pages if there's anything deprecated or left to do
+    const deprecated = (!deprecatedUrl ? undefined : DocletPage.annotations(data, "deprecated"));
+    const todo = (!todoUrl ? undefined : DocletPage.annotations(data, "todo"));
+    const {newSince} = templateConfig.classy;
+    
+    // Badge symbols added after the configured version as new, or those added in the current version if no version was configured
+    for (let doclet of data().get()) if (!!doclet.since) {
+        if (!!newSince ? PublishUtils.compareVersions(doclet.since, newSince) > 0
+            : (!!packageData.version && PublishUtils.compareVersions(doclet.since, packageData.version) === 0)) doclet.isNew = true;
+    }
+    
+    // Link to the changes page from the page header
+    if (!!changes) template.changesLink = changesUrl;
+    
     pages.push(...[
         // Create pages for all container-type doclets
         ...data({kind: DocletPage.containers}).get()
             .map(doclet => new DocletPage(doclet, data({memberof: doclet.longname}).get())),
         // ...as well as any corresponding source files, if enabled, and gitPath not specified or source file output explicitly enabled
-        ...(sourceFiles.output ? DocletPage.sources(data().get(), opts, templateConfig?.default?.outputSourceFiles !== true && sourceFiles.path) : [])
+        ...(sourceFiles.output ? DocletPage.sources(data().get(), opts, templateConfig?.default?.outputSourceFiles !== true && sourceFiles.path, sourceFiles.root,
+            templateConfig.classy.lastChanged) : [])
     ]);
     
     // Prepare template's common nav structure
-    PublishUtils.buildBoilerplateNav(template, data, tutorials.children, templateConfig.classy.apiEntry);
+    PublishUtils.buildBoilerplateNav(template, data, tutorials.children, templateConfig.classy.apiEntry, [
+        ...(hierarchy ? [{name: "Hierarchy", link: hierarchyUrl}] : []),
+        ...(deprecated ? [{name: "Deprecated", link: deprecatedUrl}] : []),
+        ...(todo ? [{name: "To Do", link: todoUrl}] : []),
+        ...(coverageUrl ? [{name: "Coverage", link: coverageUrl}] : [])
+    ]);
     
     // Extract the main page title from the readme
     let readme = opts.readme && JSDOM.fragment(opts.readme);
@@ -1187,7 +3290,11 @@ exports.publish = (data, opts, tutorials) => {
     
     // Check to see if we need to render the global page...
     const globals = data({kind: DocletPage.members, memberof: {isUndefined: true}}).get();
-    if (globals.length) pages.unshift(new DocletPage({name: "Globals", kind: "globalobj", longname: globalUrl}, globals));
+    if (globals.length) {
+        pages.unshift(new DocletPage({name: "Globals", kind: "globalobj", longname: globalUrl}, globals));
+        // Other pages should only link to the global page if it exists
+        template.globalsLink = globalUrl;
+    }
     
     // Index page displays information from package.json and lists files
     pages.unshift(
@@ -1198,7 +3305,56 @@ exports.publish = (data, opts, tutorials) => {
         ])
     );
     
+    // Save the machine-readable description of the documented API, before rendering pages modifies any doclets, if enabled
+    if (templateConfig.classy.outputApiJson) {
+        PublishUtils.generateApiJson(data({kind: [...DocletPage.containers, ...DocletPage.members]}).get(), packageData);
+    }
+    
+    // Measure documentation coverage and add the coverage page, if enabled
+    const coverage = (!coverageUrl ? undefined : PublishUtils.generateCoverage(data({kind: [...DocletPage.containers, ...DocletPage.members]}).get(), undocumented, packageData));
+    if (!!coverage) pages.push(new DocletPage({name: "Coverage", kind: "coverage", longname: coverageUrl, coverage}));
+    // Add the hierarchy page, if enabled and there's anything to show
+    if (!!hierarchy) pages.push(new DocletPage({name: "Hierarchy", kind: "hierarchy", longname: hierarchyUrl, hierarchy}));
+    // ...and the changes page, if any symbols were added in known versions
+    if (!!changes) pages.push(new DocletPage({name: "Changes by Version", kind: "changes", longname: changesUrl, changes}));
+    // ...and the deprecated and to-do pages, if there's anything to list on them
+    if (!!deprecated) pages.push(new DocletPage({name: "Deprecated", kind: "deprecated", longname: deprecatedUrl, annotations: deprecated}));
+    if (!!todo) pages.push(new DocletPage({name: "To Do", kind: "todo", longname: todoUrl, annotations: todo}));
+    
     // Generate all the pages, then generate the tutorials!
     for (let page of pages) page.generate(helper.longnameToUrl[page.longname] ?? page.longname);
     PublishUtils.generateTutorials(tutorials);
+    
+    // Save the sitemap of all generated pages and tutorials, if a base URL was specified
+    if (templateConfig.classy.baseUrl) {
+        PublishUtils.generateSitemap(templateConfig.classy.baseUrl, DocletPage.generated);
+    }
+    
+    // Save the search index for all documented symbols and tutorials, if enabled
+    if (templateConfig.classy.showSearch) {
+        PublishUtils.generateSearchIndex(data({kind: [...DocletPage.containers, ...DocletPage.members]}).get(), tutorials);
+    }
+    
+    // Clean up any files left over from the previous build, if building incrementally
+    PublishUtils.finishIncrementalBuild();
+    
+    // Update the versions manifest shared by all versions, if enabled
+    if (templateConfig.classy.versioned) {
+        PublishUtils.generateVersions(packageData.version, templateConfig.classy.versionAlias, templateConfig.classy.incremental);
+    }
+    
+    // Check inline links in doclets, and links between all generated pages, now that everything has been written
+    if (templateConfig.classy.verifyLinks) {
+        const broken = PublishUtils.verifyLinks(data().get(), tutorials, opts.readme)
+            + PublishUtils.verifyOutput(DocletPage.generated, pages.filter(({kind}) => kind === "source").map(({fileName}) => fileName));
+        
+        if (broken > 0 && templateConfig.classy.verifyLinksFail) {
+            logger.fatal(`Link verification found ${broken} broken link${broken === 1 ? "" : "s"}`);
+        }
+    }
+    
+    // Fail the build if documentation coverage is below the minimum, now that the coverage page is available to explain why
+    if (!!coverage && coverage.summary.percentage < templateConfig.classy.coverageMinimum) {
+        logger.fatal(`Documentation coverage of ${coverage.summary.percentage}% is below the minimum of ${templateConfig.classy.coverageMinimum}%`);
+    }
 };
\ No newline at end of file
@@ -1,3 +1,46 @@
+// Apply the preferred colour scheme straight away, so the page is never rendered with the wrong colours
+(() => {
+    const root = document.documentElement;
+    const schemes = ["auto", "light", "dark"];
+    const titles = {auto: "Automatic", light: "Light", dark: "Dark"};
+    // Browsers may refuse access to localStorage (e.g. for some file:// locations), so don't let that break anything
+    const storage = {
+        get: () => {try {return localStorage.getItem("classy-theme");} catch {return null;}},
+        set: (value) => {try {localStorage.setItem("classy-theme", value);} catch {}}
+    };
+    
+    // Set the colour scheme on the root element, and switch highlight.js themes to match
+    const apply = (scheme) => {
+        root.dataset.theme = scheme;
+        
+        for (let link of document.querySelectorAll("link[data-theme]")) {
+            link.media = (scheme === "auto" ? `(prefers-color-scheme: ${link.dataset.theme})` : (scheme === link.dataset.theme ? "all" : "not all"));
+        }
+        
+        for (let toggle of document.querySelectorAll(".theme-toggle")) {
+            toggle.setAttribute("title", `Colour Scheme: ${titles[scheme]}`);
+            toggle.setAttribute("aria-label", `Colour Scheme: ${titles[scheme]}`);
+        }
+    };
+    
+    // Stored choices take precedence over the configured default
+    apply(schemes.includes(storage.get()) ? storage.get() : (schemes.includes(root.dataset.theme) ? root.dataset.theme : "auto"));
+    
+    // Hook in colour scheme toggle, which cycles through automatic, light, and dark schemes
+    document.addEventListener("DOMContentLoaded", () => {
+        apply(root.dataset.theme);
+        
+        for (let toggle of document.querySelectorAll(".theme-toggle")) {
+            toggle.addEventListener("click", () => {
+                const scheme = schemes[(schemes.indexOf(root.dataset.theme) + 1) % schemes.length];
+                
+                storage.set(scheme);
+                apply(scheme);
+            });
+        }
+    });
+})();
+
 // Hook in tiny nav toggle's orphaned checkboxes
 document.addEventListener("DOMContentLoaded", () => {
     const source = document.querySelector("#tiny-page-nav-toggle");
@@ -27,4 +70,177 @@ document.addEventListener("DOMContentLoaded", () => {
             window.history.pushState(null, null, target);
         });
     }
-});
\ No newline at end of file
+});
+
+// Hook in search box behaviour, using the search index generated alongside the pages
+document.addEventListener("DOMContentLoaded", () => {
+    const search = document.querySelector(".page-search");
+    const input = document.querySelector("#page-search-input");
+    const results = document.querySelector("#page-search-results");
+    // Pre-compute lower case values once, so ranking doesn't need to do it for every keystroke
+    const index = (window.classySearchIndex ?? []).map((entry) => ({
+        ...entry, lowerLongname: entry.longname.toLowerCase(), lowerName: entry.name.toLowerCase(),
+        lowerText: `${entry.longname} ${entry.summary} ${entry.description}`.toLowerCase()
+    }));
+    let selected = -1;
+    
+    if (!search || !input || !results) return;
+    
+    // Lower ranks are better matches, with exact long name matches always coming first
+    const rank = ({lowerLongname, lowerName, lowerText}, query, terms) => {
+        if (lowerLongname === query) return 0;
+        if (lowerName === query) return 1;
+        if (lowerName.startsWith(query) || lowerLongname.startsWith(query)) return 2;
+        if (lowerLongname.includes(query)) return 3;
+        if (terms.every((term) => lowerLongname.includes(term))) return 4;
+        if (terms.every((term) => lowerText.includes(term))) return 5;
+        return -1;
+    };
+    
+    // Mark a result as selected, and make sure it can be seen
+    const select = (position) => {
+        const items = [...results.querySelectorAll("li[role=option]")];
+        
+        selected = (!items.length ? -1 : (position + items.length) % items.length);
+        
+        for (let item of items) {
+            item.classList.toggle("selected", items.indexOf(item) === selected);
+            item.setAttribute("aria-selected", String(items.indexOf(item) === selected));
+        }
+        
+        items[selected]?.scrollIntoView({block: "nearest"});
+    };
+    
+    // Show or hide the list of results
+    const toggle = (visible) => {
+        results.classList.toggle("hidden", !visible);
+        input.setAttribute("aria-expanded", String(visible));
+    };
+    
+    // Find, rank, and render the results matching the current query
+    const update = () => {
+        const query = input.value.trim().toLowerCase();
+        const terms = query.split(/\s+/);
+        const matches = !query.length ? [] : index
+            .map((entry) => ({entry, score: rank(entry, query, terms)}))
+            .filter(({score}) => score >= 0)
+            .sort((a, b) => (a.score - b.score) || (a.entry.longname.length - b.entry.longname.length)
+                || a.entry.longname.localeCompare(b.entry.longname))
+            .slice(0, 50);
+        
+        results.replaceChildren(...matches.map(({entry: {longname, kind, summary, link}}) => {
+            const item = document.createElement("li");
+            const anchor = document.createElement("a");
+            const name = document.createElement("span");
+            const type = document.createElement("span");
+            const description = document.createElement("span");
+            
+            name.className = "search-result-name";
+            name.textContent = longname;
+            type.className = "search-result-kind";
+            type.textContent = kind;
+            description.className = "search-result-summary";
+            description.textContent = summary;
+            anchor.href = link;
+            anchor.append(name, type, ...(summary ? [description] : []));
+            item.setAttribute("role", "option");
+            item.append(anchor);
+            
+            return item;
+        }));
+        
+        // Let the user know when nothing matched
+        if (!!query.length && !matches.length) {
+            const item = document.createElement("li");
+            
+            item.className = "search-results-empty";
+            item.textContent = "No results found";
+            results.append(item);
+        }
+        
+        toggle(!!query.length);
+        select(0);
+    };
+    
+    input.addEventListener("input", update);
+    input.addEventListener("focus", () => toggle(!!input.value.trim().length));
+    input.addEventListener("keydown", (e) => {
+        switch (e.key) {
+            case "ArrowDown":
+            case "ArrowUp":
+                e.preventDefault();
+                select(selected + (e.key === "ArrowDown" ? 1 : -1));
+                break;
+            
+            case "Enter":
+                e.preventDefault();
+                results.querySelectorAll("li[role=option] a")[selected]?.click();
+                toggle(false);
+                break;
+            
+            case "Escape":
+                input.value = "";
+                toggle(false);
+                input.blur();
+                break;
+        }
+    });
+    
+    // Hide results when clicking elsewhere, and focus the search box when "/" is pressed
+    document.addEventListener("click", (e) => (!search.contains(e.target) && toggle(false)));
+    document.addEventListener("keydown", (e) => {
+        if (e.key === "/" && !["INPUT", "TEXTAREA"].includes(document.activeElement?.tagName)) {
+            e.preventDefault();
+            input.focus();
+        }
+    });
+});
+
+
+// Hook in version switcher and outdated version banner, using the versions manifest shared by all versions
+document.addEventListener("DOMContentLoaded", () => {
+    const manifest = window.classyVersions;
+    const switcher = document.querySelector(".version-switcher");
+    const content = document.querySelector("main > .content-container");
+    
+    if (!manifest?.versions?.length || !switcher) return;
+    
+    // Work out which version directory and page is currently being viewed
+    const current = switcher.dataset.current;
+    const [, directory = "", page = ""] = /([^/]*)\/([^/]*)$/.exec(window.location.pathname) ?? [];
+    const viewingAlias = !!manifest.alias && directory === manifest.alias;
+    
+    // Find the same page in another version, or that version's index page if it doesn't exist there
+    const locate = (version) => {
+        const {path = version, pages = []} = manifest.versions.find((v) => v.version === version) ?? {};
+        const target = (version === manifest.latest && !!manifest.alias ? manifest.alias : path);
+        
+        return `../${target}/${pages.includes(page || "index.html") ? `${page || "index.html"}${window.location.hash}` : "index.html"}`;
+    };
+    
+    // Add an option for each version, as well as the latest version alias
+    switcher.replaceChildren(...manifest.versions.map(({version}) => {
+        const option = document.createElement("option");
+        
+        option.value = version;
+        option.textContent = (version === manifest.latest && !!manifest.alias ? `${version} (${manifest.alias})` : version);
+        option.selected = (version === current);
+        
+        return option;
+    }));
+    
+    switcher.addEventListener("change", () => (window.location.href = locate(switcher.value)));
+    
+    // Let readers know when they aren't viewing the latest version
+    if (switcher.dataset.banner === "true" && !!content && !viewingAlias && current !== manifest.latest) {
+        const banner = document.createElement("div");
+        const link = document.createElement("a");
+        
+        link.href = locate(manifest.latest);
+        link.textContent = `View the latest version (${manifest.latest})`;
+        banner.className = "version-banner";
+        banner.setAttribute("role", "note");
+        banner.append(`You are viewing documentation for version ${current}, which is not the latest version. `, link);
+        content.prepend(banner);
+    }
+});